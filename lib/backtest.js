@@ -0,0 +1,411 @@
+'use strict';
+
+const fs = require('fs');
+const Regulation = require('./regulation');
+const { MeterInput } = require('./meter-input');
+
+/**
+ * Backtest – offline replay of recorded time series through the Regulation class.
+ *
+ * The CSV header holds a timestamp column (ts / timestamp / time) followed by the
+ * foreign state IDs used in the config (smartmeter, inverter output, SOC, PV,
+ * additional sources, ...). Values are raw state values, e.g. EcoFlow outputs ×10.
+ *
+ * Each regulation interval the recorded house load is reconstructed
+ * (recorded grid + recorded output of the regulated inverters) and the simulated
+ * grid power is derived from the simulated inverter outputs. Inverters follow
+ * their last setpoint with one interval delay.
+ *
+ * Usage:
+ *   node lib/backtest.js --config native.json --csv week.csv
+ *       [--variant "offset50:regulation.basePowerOffset=50"] [--verbose]
+ */
+
+const NAMESPACE = 'ecoflow-powercontrol.0';
+const TS_COLUMNS = ['ts', 'timestamp', 'time'];
+/** State the simulated grid power (signed W) is replayed to */
+const SIM_METER_ID = 'backtest.0.gridPower';
+
+/**
+ * SimClock – replaces Date.now() while a replay is running.
+ */
+class SimClock {
+    constructor(startTs) {
+        this.now = startTs;
+        this._originalNow = null;
+    }
+
+    install() {
+        this._originalNow = Date.now;
+        Date.now = () => this.now;
+    }
+
+    uninstall() {
+        if (this._originalNow) Date.now = this._originalNow;
+        this._originalNow = null;
+    }
+
+    set(ts) {
+        this.now = ts;
+    }
+}
+
+/**
+ * MockAdapter – in-memory stand-in for the ioBroker adapter instance.
+ */
+class MockAdapter {
+    constructor(config, options = {}) {
+        this.namespace = NAMESPACE;
+        this.config = config;
+        this.states = {};
+        const verbose = !!options.verbose;
+        const print = level => msg => { if (verbose) console.log(`[${level}] ${msg}`); };
+        this.log = { debug: print('debug'), info: print('info'), warn: print('warn'), error: print('error') };
+    }
+
+    _fullId(id) {
+        return id.startsWith(`${this.namespace}.`) ? id : `${this.namespace}.${id}`;
+    }
+
+    _write(fullId, val, ack) {
+        const now = Date.now();
+        const old = this.states[fullId];
+        const lc = old && old.val === val ? old.lc : now;
+        this.states[fullId] = { val, ack: !!ack, ts: now, lc };
+    }
+
+    async getStateAsync(id) {
+        return this.states[this._fullId(id)] || null;
+    }
+
+    async setStateAsync(id, val, ack) {
+        this._write(this._fullId(id), val, ack);
+    }
+
+    async getForeignStateAsync(id) {
+        return this.states[id] || null;
+    }
+
+    async setForeignStateAsync(id, val, ack) {
+        this._write(id, val, ack);
+    }
+
+    async getForeignObjectAsync(id) {
+        return this.states[id] ? { _id: id, type: 'state', common: {}, native: {} } : null;
+    }
+
+    async setObjectNotExistsAsync() {
+        // objects are not modelled
+    }
+
+    async setForeignObjectNotExistsAsync() {
+        // objects are not modelled
+    }
+
+    async writeFileAsync() {
+        // file store is not modelled
+    }
+
+    sendTo(target, command, message, callback) {
+        if (typeof callback === 'function') callback({ error: `${target} not available in backtest` });
+    }
+}
+
+/**
+ * Parse a CSV text (comma or semicolon separated) into timestamped rows.
+ * @param {string} text
+ * @returns {{columns: string[], rows: {ts: number, values: Object<string, number>}[]}}
+ */
+function parseCsv(text) {
+    const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    if (lines.length < 2) throw new Error('CSV needs a header and at least one data row.');
+
+    const sep = lines[0].includes(';') ? ';' : ',';
+    const header = lines[0].split(sep).map(h => h.trim().replace(/^"|"$/g, ''));
+    const tsIndex = header.findIndex(h => TS_COLUMNS.includes(h.toLowerCase()));
+    if (tsIndex === -1) throw new Error(`CSV needs a timestamp column (${TS_COLUMNS.join(' / ')}).`);
+
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+        const cells = lines[i].split(sep).map(c => c.trim().replace(/^"|"$/g, ''));
+        const ts = parseTimestamp(cells[tsIndex]);
+        if (!ts) continue;
+        const values = {};
+        header.forEach((col, idx) => {
+            if (idx === tsIndex || cells[idx] === undefined || cells[idx] === '') return;
+            const val = Number(cells[idx]);
+            if (Number.isFinite(val)) values[col] = val;
+        });
+        rows.push({ ts, values });
+    }
+    rows.sort((a, b) => a.ts - b.ts);
+    return { columns: header.filter((_, idx) => idx !== tsIndex), rows };
+}
+
+function parseTimestamp(cell) {
+    if (cell === undefined || cell === '') return 0;
+    const n = Number(cell);
+    if (Number.isFinite(n)) {
+        return n < 1e11 ? n * 1000 : n; // seconds or milliseconds
+    }
+    const parsed = Date.parse(cell);
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Expand flat admin keys (e.g. "regulation.basePowerOffset") into nested objects.
+ */
+function normalizeConfig(rawCfg) {
+    const cfg = JSON.parse(JSON.stringify(rawCfg || {}));
+    for (const [key, value] of Object.entries(rawCfg || {})) {
+        if (!key.includes('.')) continue;
+        setByPath(cfg, key, value);
+    }
+    return cfg;
+}
+
+function setByPath(target, path, value) {
+    const parts = String(path).split('.').filter(Boolean);
+    let node = target;
+    for (let i = 0; i < parts.length - 1; i++) {
+        if (!node[parts[i]] || typeof node[parts[i]] !== 'object') node[parts[i]] = {};
+        node = node[parts[i]];
+    }
+    node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Replay recorded data through the regulation with the given config.
+ *
+ * @param {object} config                 Adapter native config
+ * @param {{rows: {ts: number, values: Object<string, number>}[]}} data  Parsed CSV
+ * @param {object} [options]
+ * @param {boolean} [options.verbose]     Print regulation log output
+ * @returns {Promise<object>}             Energy and churn report
+ */
+async function runBacktest(config, data, options = {}) {
+    const cfg = normalizeConfig(config);
+    cfg.regulation = { ...(cfg.regulation || {}), enabled: true, dryRun: false };
+    const reg = cfg.regulation;
+    const meterIds = MeterInput.stateIds(reg);
+    if (!meterIds.length) throw new Error('Config has no smartmeter state (regulation.smartmeterStateId / meterImportStateId / meterPhaseStateIds).');
+    if (!data.rows.length) throw new Error('No data rows.');
+
+    const intervalMs = (Number(reg.intervalSec) || 15) * 1000;
+    const inverters = (cfg.inverters || []).filter(inv => inv.id && inv.regulation);
+    const rawFactor = inv => (inv.type === 'ecoflow' ? 10 : 1);
+    // Recorded meter values in the meter's mode, sign and unit; the regulation reads the
+    // simulated grid power from one signed W state instead
+    const meterUnits = new MeterInput(reg);
+    cfg.regulation = { ...reg, meterMode: 'power', meterInvert: false, meterUnit: 'W', smartmeterStateId: SIM_METER_ID, meterFallbacks: [] };
+
+    const clock = new SimClock(data.rows[0].ts);
+    clock.install();
+
+    const report = {
+        durationH: 0,
+        gridImportKWh: 0,
+        gridExportKWh: 0,
+        batteryDischargeKWh: 0,
+        batteryChargeKWh: 0,
+        setpointChanges: 0,
+        setpointChurnW: 0,
+        inverters: {}
+    };
+
+    try {
+        const adapter = new MockAdapter(cfg, options);
+        await adapter.setStateAsync('regulation.enabled', true, true);
+        await adapter.setStateAsync('regulation.dryRun', false, true);
+
+        const regulation = new Regulation(adapter, null);
+        regulation.realPowerDebounceMs = 0;
+
+        // Simulated inverter output (W), initialised from the first recorded row
+        const simOutput = {};
+        const lastSetpoint = {};
+        for (const inv of inverters) {
+            const raw = data.rows[0].values[inv.outputStateId];
+            simOutput[inv.id] = Number.isFinite(raw) ? raw / rawFactor(inv) : 0;
+            lastSetpoint[inv.id] = null;
+            report.inverters[inv.id] = { feedInKWh: 0, setpointChanges: 0 };
+        }
+
+        const startTs = data.rows[0].ts;
+        const endTs = data.rows[data.rows.length - 1].ts;
+        let rowIdx = 0;
+
+        for (let t = startTs; t <= endTs; t += intervalMs) {
+            clock.set(t);
+            while (rowIdx + 1 < data.rows.length && data.rows[rowIdx + 1].ts <= t) rowIdx++;
+            const row = data.rows[rowIdx].values;
+
+            // Replay all recorded foreign states (sample and hold)
+            for (const [id, val] of Object.entries(row)) {
+                await adapter.setForeignStateAsync(id, val, true);
+            }
+
+            // Inverters follow the setpoint of the previous interval
+            let recordedFeedIn = 0;
+            let simulatedFeedIn = 0;
+            for (const inv of inverters) {
+                const recorded = Number(row[inv.outputStateId]);
+                recordedFeedIn += Number.isFinite(recorded) ? recorded / rawFactor(inv) : 0;
+
+                const setpoint = lastSetpoint[inv.id];
+                if (setpoint !== null) {
+                    let out = Math.min(Math.max(setpoint, 0), Number(inv.maxPower) || 800);
+                    if (!inv.hasBat) {
+                        const pv = Number(row[inv.pvPowerStateId]);
+                        out = Math.min(out, Number.isFinite(pv) ? pv / rawFactor(inv) : out);
+                    }
+                    simOutput[inv.id] = out;
+                }
+                simulatedFeedIn += simOutput[inv.id];
+                if (inv.outputStateId) {
+                    await adapter.setForeignStateAsync(inv.outputStateId, simOutput[inv.id] * rawFactor(inv), true);
+                }
+            }
+
+            const recorded = meterUnits.combine(meterIds.map(id => (id in row ? { val: row[id], ts: t, lc: t } : null)));
+            const recordedGrid = recorded ? meterUnits.normalize(recorded.val) || 0 : 0;
+            const simGrid = recordedGrid + recordedFeedIn - simulatedFeedIn;
+            await adapter.setForeignStateAsync(SIM_METER_ID, simGrid, true);
+
+            await regulation.updateRealPower();
+            await regulation.run();
+
+            // Energy accounting for this interval
+            const dtH = intervalMs / 3600000;
+            report.durationH += dtH;
+            report.gridImportKWh += Math.max(simGrid, 0) * dtH / 1000;
+            report.gridExportKWh += Math.max(-simGrid, 0) * dtH / 1000;
+
+            for (const inv of inverters) {
+                const out = simOutput[inv.id];
+                report.inverters[inv.id].feedInKWh += out * dtH / 1000;
+                if (inv.hasBat) {
+                    const pvRaw = Number(row[inv.pvPowerStateId]);
+                    const pv = Number.isFinite(pvRaw) ? pvRaw / rawFactor(inv) : 0;
+                    report.batteryDischargeKWh += Math.max(out - pv, 0) * dtH / 1000;
+                    report.batteryChargeKWh += Math.max(pv - out, 0) * dtH / 1000;
+                }
+
+                const target = await adapter.getStateAsync(`inverters.${inv.id}.targetOutput`);
+                if (target && target.ts === t) {
+                    const setpoint = Number(target.val);
+                    if (lastSetpoint[inv.id] !== null && setpoint !== lastSetpoint[inv.id]) {
+                        report.setpointChanges++;
+                        report.setpointChurnW += Math.abs(setpoint - lastSetpoint[inv.id]);
+                        report.inverters[inv.id].setpointChanges++;
+                    }
+                    lastSetpoint[inv.id] = setpoint;
+                }
+            }
+        }
+    } finally {
+        clock.uninstall();
+    }
+
+    report.batteryThroughputKWh = report.batteryDischargeKWh + report.batteryChargeKWh;
+    report.setpointChangesPerHour = report.durationH > 0 ? report.setpointChanges / report.durationH : 0;
+    return report;
+}
+
+// ──────────────────────────────────────────────────────────── CLI
+
+function parseArgs(argv) {
+    const args = { variants: [], verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config') args.config = argv[++i];
+        else if (arg === '--csv') args.csv = argv[++i];
+        else if (arg === '--variant') args.variants.push(argv[++i]);
+        else if (arg === '--verbose') args.verbose = true;
+    }
+    return args;
+}
+
+/**
+ * Parse "name:path=value,path=value" into a config patch.
+ */
+function parseVariant(text) {
+    const colon = text.indexOf(':');
+    const name = colon > 0 ? text.slice(0, colon) : text;
+    const assignments = colon > 0 ? text.slice(colon + 1) : text;
+    const patch = {};
+    for (const part of assignments.split(',')) {
+        const eq = part.indexOf('=');
+        if (eq <= 0) continue;
+        const raw = part.slice(eq + 1).trim();
+        const num = Number(raw);
+        const value = raw === 'true' ? true : raw === 'false' ? false : (raw !== '' && Number.isFinite(num) ? num : raw);
+        patch[part.slice(0, eq).trim()] = value;
+    }
+    return { name, patch };
+}
+
+/**
+ * Fill missing config keys with the native defaults from io-package.json.
+ */
+function withDefaults(config) {
+    const ioPackage = require('../io-package.json');
+    const merge = (base, over) => {
+        const out = { ...base };
+        for (const [key, value] of Object.entries(over || {})) {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            out[key] = isObject && base[key] && typeof base[key] === 'object' ? merge(base[key], value) : value;
+        }
+        return out;
+    };
+    return merge(ioPackage.native || {}, normalizeConfig(config));
+}
+
+function applyPatch(config, patch) {
+    const cfg = normalizeConfig(config);
+    for (const [path, value] of Object.entries(patch)) setByPath(cfg, path, value);
+    return cfg;
+}
+
+function formatReport(name, r) {
+    return [
+        name.padEnd(16),
+        r.gridImportKWh.toFixed(2).padStart(10),
+        r.gridExportKWh.toFixed(2).padStart(10),
+        r.batteryThroughputKWh.toFixed(2).padStart(10),
+        String(r.setpointChanges).padStart(8),
+        r.setpointChangesPerHour.toFixed(1).padStart(8),
+        (r.setpointChanges ? r.setpointChurnW / r.setpointChanges : 0).toFixed(0).padStart(8)
+    ].join(' ');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.config || !args.csv) {
+        console.log('Usage: node lib/backtest.js --config native.json --csv data.csv [--variant "name:path=value,..."] [--verbose]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const rawConfig = JSON.parse(fs.readFileSync(args.config, 'utf8'));
+    const config = withDefaults(rawConfig.native || rawConfig);
+    const data = parseCsv(fs.readFileSync(args.csv, 'utf8'));
+
+    const variants = [{ name: 'config', patch: {} }, ...args.variants.map(parseVariant)];
+    console.log(`Backtest: ${data.rows.length} rows, ${new Date(data.rows[0].ts).toISOString()} – ${new Date(data.rows[data.rows.length - 1].ts).toISOString()}`);
+    console.log(['variant'.padEnd(16), 'import kWh', 'export kWh', 'batt kWh', 'changes', 'per h', 'avg ΔW'].map((h, i) => (i ? h.padStart(i < 4 ? 10 : 8) : h)).join(' '));
+
+    for (const variant of variants) {
+        const report = await runBacktest(applyPatch(config, variant.patch), data, { verbose: args.verbose });
+        console.log(formatReport(variant.name, report));
+    }
+}
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(`Backtest failed: ${err.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { runBacktest, parseCsv, MockAdapter, SimClock };
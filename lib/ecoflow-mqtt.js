@@ -248,6 +248,7 @@ class EcoflowMqtt {
             this.isConnected = false;
             await this.adapter.setStateAsync('info.connection', false, true);
             this.adapter.log.warn('EcoFlow MQTT: Disconnected from broker.');
+            await this._notify('mqttDisconnected', 'EcoFlow MQTT disconnected from broker.');
         });
 
         this.client.on('error', err => {
@@ -751,9 +752,18 @@ class EcoflowMqtt {
             this.adapter.log.info('EcoFlow MQTT: Reconnect successful.');
         } catch (err) {
             this.adapter.log.error(`EcoFlow MQTT: Reconnect failed: ${err.message}`);
+            await this._notify('mqttReconnectFailed', `EcoFlow MQTT reconnect failed: ${err.message}`);
         }
     }
 
+    /**
+     * Forward an event to the adapter's Notifier (not in test mode).
+     */
+    async _notify(event, text) {
+        if (this.testMode || !this.adapter.notifier) return;
+        await this.adapter.notifier.notify(event, '', text);
+    }
+
     _testMqttConnect(timeoutMs = 15000) {
         return this._selectWorkingMqttCandidate(timeoutMs);
     }
@@ -917,6 +927,36 @@ class EcoflowMqtt {
     getSetPrioStatePath(sn) {
         return `${this.adapter.namespace}.ecoflow.app_${this.mqttDaten.UserID}_${sn}_thing_property_set.writeables.SetPrio`;
     }
+
+    /**
+     * Build the state path of a writeable (WRITEABLES name) for a device.
+     * Writing it with ack=false publishes the command via onWriteableStateChange().
+     */
+    getWriteableStatePath(sn, name) {
+        return `${this.adapter.namespace}.ecoflow.app_${this.mqttDaten.UserID}_${sn}_thing_property_set.writeables.${name}`;
+    }
+
+    /**
+     * Create the writeable state if it does not exist yet and return its path.
+     * Delta writeables are otherwise only created once the app has sent a set command.
+     */
+    async ensureWriteableState(sn, name) {
+        const stateId = `ecoflow.app_${this.mqttDaten.UserID}_${sn}_thing_property_set.writeables.${name}`;
+        await this.adapter.setObjectNotExistsAsync(stateId, {
+            type: 'state',
+            common: { name, type: 'string', role: 'state', read: true, write: true },
+            native: {}
+        });
+        return this.getWriteableStatePath(sn, name);
+    }
+
+    /**
+     * Device type (PS, DM, D2, D2M, ...) of a configured device, or '' if unknown.
+     */
+    getDeviceType(sn) {
+        const device = (this.cfg.devices || []).find(d => d.serial === sn);
+        return device ? device.typ : '';
+    }
 }
 
 module.exports = EcoflowMqtt;
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * EnergyCounter – integrates power samples into kWh totals per day, month and year.
+ *
+ * Samples arrive with every realPower update. Each sample's power is counted for the
+ * time since the previous sample; gaps longer than MAX_GAP_MS (adapter stopped, smart
+ * meter silent) are not counted. Totals start again at 0 when a new period begins.
+ */
+
+const PERIODS = ['day', 'month', 'year'];
+
+/** States below energy.<period>. – counted totals first, then the derived values */
+const ENERGY_STATES = [
+    { id: 'gridImport',      name: 'Grid import', unit: 'kWh', counted: true },
+    { id: 'gridExport',      name: 'Grid export', unit: 'kWh', counted: true },
+    { id: 'feedIn',          name: 'Feed-in of all regulated inverters', unit: 'kWh', counted: true },
+    { id: 'additional',      name: 'Feed-in of additional sources', unit: 'kWh', counted: true },
+    { id: 'consumers',       name: 'Energy of the excess consumers', unit: 'kWh', counted: true },
+    { id: 'consumption',     name: 'House consumption', unit: 'kWh' },
+    { id: 'selfConsumption', name: 'Self-consumption rate', unit: '%' },
+    { id: 'autarky',         name: 'Autarky rate', unit: '%' }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_GAP_MS = 5 * 60 * 1000;
+
+class EnergyCounter {
+    constructor() {
+        /** kWh per period and key */
+        this.totals = { day: {}, month: {}, year: {} };
+        /** Period the totals belong to, e.g. { day: '2024-6-11', month: '2024-6', year: '2024' } */
+        this.periodKeys = EnergyCounter.periodKeys(Date.now());
+        this.lastTs = 0;
+        this.lastPowers = null;
+    }
+
+    /**
+     * Period identifiers of a timestamp (local time).
+     * @param {number} ts
+     * @returns {{day: string, month: string, year: string}}
+     */
+    static periodKeys(ts) {
+        const d = new Date(ts);
+        const year = String(d.getFullYear());
+        const month = `${year}-${d.getMonth() + 1}`;
+        return { day: `${month}-${d.getDate()}`, month, year };
+    }
+
+    /**
+     * Continue a total after a restart if the stored value belongs to the current period.
+     * @param {string} period  day | month | year
+     * @param {string} key
+     * @param {number} kWh
+     * @param {number} ts      Timestamp of the stored value
+     */
+    restore(period, key, kWh, ts) {
+        if (EnergyCounter.periodKeys(ts)[period] !== this.periodKeys[period]) return;
+        this.totals[period][key] = Number(kWh) || 0;
+    }
+
+    /**
+     * Add a sample. The previous sample's power is counted up to `now`.
+     * @param {Object<string, number>} powers  Power per key in W (negative values count as 0)
+     * @param {number} [now]
+     */
+    add(powers, now = Date.now()) {
+        const keys = EnergyCounter.periodKeys(now);
+        for (const period of PERIODS) {
+            if (keys[period] !== this.periodKeys[period]) this.totals[period] = {};
+        }
+        this.periodKeys = keys;
+
+        const dt = now - this.lastTs;
+        if (this.lastPowers && dt > 0 && dt <= MAX_GAP_MS) {
+            for (const [key, watts] of Object.entries(this.lastPowers)) {
+                const kWh = Math.max(0, Number(watts) || 0) * dt / HOUR_MS / 1000;
+                for (const period of PERIODS) {
+                    this.totals[period][key] = (this.totals[period][key] || 0) + kWh;
+                }
+            }
+        }
+        this.lastTs = now;
+        this.lastPowers = powers;
+    }
+
+    /**
+     * Total of a key in a period (kWh).
+     * @param {string} period
+     * @param {string} key
+     * @returns {number}
+     */
+    get(period, key) {
+        return this.totals[period][key] || 0;
+    }
+}
+
+/**
+ * Name of the per-inverter energy state of a period (energyDay / energyMonth / energyYear).
+ * @param {string} period
+ * @returns {string}
+ */
+function energyStateName(period) {
+    return `energy${period.charAt(0).toUpperCase()}${period.slice(1)}`;
+}
+
+module.exports = { EnergyCounter, PERIODS, ENERGY_STATES, energyStateName };
@@ -0,0 +1,735 @@
+'use strict';
+
+const { StorageSink } = require('./storage-sink');
+const { findCheapestWindow } = require('./price-control');
+const { parseTime } = require('./schedule');
+
+/**
+ * ExcessConsumers – prioritised list of loads that absorb the PV surplus.
+ *
+ * Each row of excessConsumers:
+ *   { enabled, id, name, type, priority,
+ *     powerStateId, switchStateId, switchOnValue, switchOffValue, actualPowerStateId,
+ *     batSocStateId, batSocMax, batSocOff, serial,
+ *     maxPower, offsetPower, startPower, stopPower, startDurationMin,
+ *     switchMinMin, minRegulatePauseMin, regulateSteps,
+ *     currentStateId, phaseStateId, phases, minCurrent, maxCurrent, phaseSwitchMin, evMode,
+ *     stages, sg1StateId, sg2StateId, forcePower, blockStateId,
+ *     minRuntimeMin, deadline }
+ *
+ * The surplus (regulation.excessPower) cascades from priority 1 downwards: every consumer
+ * gets what the consumers above it leave over. What a consumer takes is its measured power
+ * (actualPowerStateId) or, without a measurement or right after a change, its requested power.
+ * Measured loads are taken out of realPower, unmeasured ones are still in the grid reading:
+ * their requested power of the last cycle is added back to the surplus before the cascade.
+ *
+ * Runtime and energy are counted per day. With minRuntimeMin a consumer that did not get
+ * enough runtime from surplus by the deadline ("HH:MM") is run from the grid: as late as
+ * possible, or in the cheapest window of the price forecast (priceControl.forecastStateId).
+ *
+ * The single excessCharge and storageSink sections are kept as legacy consumers:
+ * excessCharge runs before all table rows, storageSink after them.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const VOLTAGE = 230;
+/** After a change the requested power counts until the load has settled */
+const SETTLE_MS = 60 * 1000;
+
+class ExcessConsumer {
+    /**
+     * @param {import('./regulation')} regulation  Owning Regulation (dry-run aware writes)
+     * @param {object} cfg                         Consumer row
+     */
+    constructor(regulation, cfg) {
+        this.regulation = regulation;
+        this.adapter = regulation.adapter;
+        this.cfg = cfg;
+        this.id = cfg.id;
+        this.priority = Number(cfg.priority) || 0;
+        /** Switched on by the regulation */
+        this.active = false;
+        /** Power requested in the last cycle (W) */
+        this.requested = 0;
+        this.changedTs = 0;
+        /** Daily counters (consumers.<id>.runtimeToday / energyToday) */
+        this.runtimeMs = 0;
+        this.energyWh = 0;
+        this.day = null;
+        this.lastTs = 0;
+        /** Running from the grid to reach minRuntimeMin */
+        this.fill = false;
+        /** Cheapest window a started grid run keeps to: { start, deadline } */
+        this.fillWindow = null;
+    }
+
+    get label() {
+        return this.cfg.name || this.id;
+    }
+
+    /**
+     * Measured power (W) for the realPower calculation.
+     */
+    async readActualPower() {
+        if (!this.cfg.actualPowerStateId) return 0;
+        const s = await this.regulation.sm.getValAkt(this.cfg.actualPowerStateId, 60);
+        return Number(s.val) || 0;
+    }
+
+    /**
+     * Power this consumer takes from the surplus, passed on to the next priority.
+     * @returns {Promise<number>}
+     */
+    async claimedPower() {
+        if (!this.cfg.actualPowerStateId || Date.now() - this.changedTs < SETTLE_MS) return this.requested;
+        return this.readActualPower();
+    }
+
+    /**
+     * Power of the last cycle that is still contained in the grid reading (no measurement).
+     * @returns {number}
+     */
+    unmeasuredPower() {
+        return this.cfg.actualPowerStateId ? 0 : this.requested;
+    }
+
+    /**
+     * Battery SOC condition: no start above batSocMax, stop at batSocOff.
+     * @returns {Promise<boolean>}  true if the consumer may run
+     */
+    async _socAllowed() {
+        if (!this.cfg.batSocStateId || this.fill) return true;
+        const s = await this.regulation.sm.getValAkt(this.cfg.batSocStateId, 60);
+        const soc = Number(s.val);
+        const socMax = Number(this.cfg.batSocMax);
+        const socOff = Number(this.cfg.batSocOff);
+        if (this.active) {
+            if (soc >= socOff) {
+                this.adapter.log.info(`ExcessConsumer ${this.label}: Battery at ${socOff}%. Consumer will stop soon.`);
+                return false;
+            }
+            return true;
+        }
+        return !(soc >= socMax);
+    }
+
+    /**
+     * Surplus to pass to run() for a forced run from the grid.
+     * @returns {number}
+     */
+    fullPower() {
+        return (Number(this.cfg.maxPower) || 0) + (Number(this.cfg.startPower) || 0);
+    }
+
+    /**
+     * Continue the daily counters after a restart.
+     */
+    async restoreCounters() {
+        const today = new Date().toDateString();
+        for (const [key, apply] of [['runtimeToday', v => { this.runtimeMs = v * 60 * 1000; }], ['energyToday', v => { this.energyWh = v * 1000; }]]) {
+            const s = await this.adapter.getStateAsync(`consumers.${this.id}.${key}`);
+            if (s && new Date(s.ts).toDateString() === today) apply(Number(s.val) || 0);
+        }
+        this.day = today;
+    }
+
+    /**
+     * Add the time since the last cycle to the daily runtime / energy (reset at midnight).
+     * @param {number} now
+     */
+    async account(now) {
+        const today = new Date(now).toDateString();
+        if (this.day !== today) {
+            this.day = today;
+            this.runtimeMs = 0;
+            this.energyWh = 0;
+        } else if (this.lastTs && this.active) {
+            const dt = now - this.lastTs;
+            const power = this.cfg.actualPowerStateId ? await this.readActualPower() : this.requested;
+            this.runtimeMs += dt;
+            this.energyWh += power * dt / HOUR_MS;
+        }
+        this.lastTs = now;
+    }
+
+    /**
+     * Whether the consumer must run from the grid now to reach minRuntimeMin by the deadline.
+     * @param {number} now
+     * @param {Array<{start: number, end: number, price: number}>} slots  Price forecast
+     * @returns {boolean}
+     */
+    fillNeeded(now, slots) {
+        const minRuntimeMs = (Number(this.cfg.minRuntimeMin) || 0) * 60 * 1000;
+        const remainingMs = minRuntimeMs - this.runtimeMs;
+        const midnight = new Date(now);
+        midnight.setHours(0, 0, 0, 0);
+        const deadline = midnight.getTime() + parseTime(this.cfg.deadline, 20 * 60) * 60 * 1000;
+        if (remainingMs <= 0 || now >= deadline) {
+            this.fillWindow = null;
+            return false;
+        }
+
+        // As late as possible, or from the start of the cheapest window before the deadline.
+        // Once started, the window is kept: recomputed with the shrinking remaining time the
+        // cheapest window could move away and interrupt the run.
+        if (now >= deadline - remainingMs) return true;
+        if (this.fillWindow && this.fillWindow.deadline === deadline) return true;
+        const windowStart = findCheapestWindow(slots, now, deadline, remainingMs);
+        if (windowStart === null || now < windowStart) return false;
+        this.fillWindow = { start: windowStart, deadline };
+        return true;
+    }
+
+    _setRequested(watts) {
+        if (watts !== this.requested) this.changedTs = Date.now();
+        this.requested = watts;
+    }
+
+    /**
+     * Adjust the consumer to the surplus left by the higher priorities.
+     * @param {number} available  Surplus in W
+     * @returns {Promise<number>} Requested power (W)
+     */
+    async run(available) {
+        return 0;
+    }
+}
+
+/**
+ * Switchable load with an optional modulating power state (heating rod, heat pump).
+ * Behaves like the former single excessCharge.
+ */
+class PowerConsumer extends ExcessConsumer {
+    constructor(regulation, cfg) {
+        super(regulation, cfg);
+        this.timer = 0;
+    }
+
+    async run(available) {
+        const c = this.cfg;
+        const reg = this.regulation;
+        if (!c.powerStateId && !c.switchStateId) return 0;
+        const switchMinMs = (c.switchMinMin || 5) * 60 * 1000;
+
+        if (!await this._socAllowed()) {
+            // Condition not met – turn off if it was active
+            if (this.active && c.switchStateId) {
+                const switched = await reg._setForeignStateCon(c.switchStateId, reg._parseValue(c.switchOffValue), HOUR_MS, switchMinMs, `${this.label} off (SOC condition)`);
+                if (reg.dryRun) {
+                    // The switch is never written in dry-run – assume it would be off now
+                    if (switched) this.active = false;
+                } else {
+                    // Check if it is actually off now
+                    const switchState = await this.adapter.getForeignStateAsync(c.switchStateId);
+                    if (switchState && switchState.val == reg._parseValue(c.switchOffValue)) {
+                        this.active = false;
+                    }
+                }
+            } else if (this.active) {
+                await this._powerOff('SOC condition');
+            }
+            if (!this.active) this._setRequested(0);
+            this.timer = 0;
+            return this.requested;
+        }
+
+        const targetPower = Math.min(Number(c.maxPower), Math.floor(available));
+        let setPower = targetPower + Number(c.offsetPower || 0);
+        setPower = setPower - (setPower % (c.regulateSteps || 100));
+        if (setPower < 0) setPower = 0;
+
+        if (available > Number(c.startPower) && setPower > 0) {
+            if (this.timer === 0) this.timer = Date.now();
+            if (!this.active && Date.now() - this.timer > (c.startDurationMin || 1) * 60 * 1000) {
+                // Switch on (only if off long enough)
+                if (c.switchStateId) {
+                    const switched = await reg._setForeignStateCon(c.switchStateId, reg._parseValue(c.switchOnValue), HOUR_MS, switchMinMs, `${this.label} on`);
+                    if (switched) {
+                        this.active = true;
+                        this.adapter.log.info(`ExcessConsumer ${this.label}: ON. Requested ${targetPower}W.`);
+                    }
+                } else {
+                    this.active = true;
+                }
+            }
+            // Set power level
+            if (c.powerStateId) {
+                await reg._setForeignStateCon(c.powerStateId, setPower, HOUR_MS, (c.minRegulatePauseMin || 1) * 60 * 1000, `${this.label} power`);
+            }
+            if (this.active) this._setRequested(c.powerStateId ? setPower : Number(c.maxPower) || 0);
+
+        } else if (available <= Number(c.stopPower)) {
+            this.timer = 0;
+            if (c.switchStateId) {
+                const switched = await reg._setForeignStateCon(c.switchStateId, reg._parseValue(c.switchOffValue), HOUR_MS, switchMinMs, `${this.label} off (excess ${Math.round(available)}W)`);
+                if (switched) {
+                    if (c.powerStateId) await reg._setForeignState(c.powerStateId, 0, `${this.label} off`);
+                    this.adapter.log.info(`ExcessConsumer ${this.label}: OFF (excess ${Math.round(available)}W ≤ stopPower ${c.stopPower}W).`);
+                    this.active = false;
+                }
+            } else if (this.active) {
+                await this._powerOff(`excess ${Math.round(available)}W`);
+            }
+            if (!this.active) this._setRequested(0);
+        }
+        return this.requested;
+    }
+
+    /** Consumer without switch: take it off by setting the power to 0 */
+    async _powerOff(reason) {
+        await this.regulation._setForeignState(this.cfg.powerStateId, 0, `${this.label} off (${reason})`);
+        this.adapter.log.info(`ExcessConsumer ${this.label}: OFF (${reason}).`);
+        this.active = false;
+    }
+}
+
+/**
+ * AC charger of an EcoFlow Delta (see StorageSink). The row maps onto the storageSink config:
+ * startPower = min. charge power, maxPower = max. charge power, regulateSteps = step,
+ * batSocOff = stop charging, batSocMax = resume charging.
+ */
+class StorageConsumer extends ExcessConsumer {
+    constructor(regulation, cfg) {
+        super(regulation, cfg);
+        this.sink = new StorageSink(regulation, cfg.sinkCfg || {
+            enabled: true,
+            serial: cfg.serial,
+            socStateId: cfg.batSocStateId,
+            actualPowerStateId: cfg.actualPowerStateId,
+            minChargeWatts: cfg.startPower,
+            maxChargeWatts: cfg.maxPower,
+            socMax: cfg.batSocOff,
+            socResume: cfg.batSocMax,
+            stepWatts: cfg.regulateSteps,
+            minPauseSec: (Number(cfg.minRegulatePauseMin) || 1) * 60
+        });
+    }
+
+    async run(available) {
+        const power = await this.sink.run(Math.max(0, available));
+        this.active = this.sink.charging;
+        this._setRequested(power);
+        return power;
+    }
+}
+
+/**
+ * EV charger: surplus is translated into a charge current per phase.
+ *
+ * currentStateId receives the current in A (minCurrent … maxCurrent), switchStateId starts
+ * and stops charging. phases = 1 or 3 is fixed; phases = 0 switches between 1p and 3p via
+ * phaseStateId (values 1 / 3): up to 3p when the surplus covers minCurrent on three phases,
+ * back to 1p when it falls stopPower below that, each for startDurationMin and at most every
+ * phaseSwitchMin minutes.
+ * evMode "pv" charges from surplus only; "minpv" keeps charging at minCurrent and tops up
+ * from the grid when the surplus is too small.
+ */
+class EvChargerConsumer extends ExcessConsumer {
+    constructor(regulation, cfg) {
+        super(regulation, cfg);
+        this.phases = Number(cfg.phases) === 1 ? 1 : 3;
+        this.phaseTimer = 0;
+        this.phaseSwitchTs = 0;
+        this.startTimer = 0;
+        this.stopTimer = 0;
+        this.phasesRead = false;
+    }
+
+    /** A forced run from the grid charges at minCurrent */
+    fullPower() {
+        return (Number(this.cfg.minCurrent) || 6) * VOLTAGE * this.phases;
+    }
+
+    async run(available) {
+        const c = this.cfg;
+        const reg = this.regulation;
+        const minA = Number(c.minCurrent) || 6;
+        const maxA = Math.max(minA, Number(c.maxCurrent) || 16);
+        const delayMs = (c.startDurationMin || 1) * 60 * 1000;
+        const autoPhases = !Number(c.phases) && c.phaseStateId;
+
+        // Current phase setting of the charger (once, it may have been changed by hand)
+        if (autoPhases && !this.phasesRead) {
+            const s = await this.adapter.getForeignStateAsync(c.phaseStateId);
+            if (s && Number(s.val) === 1) this.phases = 1;
+            this.phasesRead = true;
+        }
+        if (autoPhases) await this._choosePhases(available, minA);
+
+        const allowed = await this._socAllowed();
+        let amps = Math.min(maxA, Math.floor(available / (VOLTAGE * this.phases)));
+        // Minimum on the phases actually set – _choosePhases() switches to 1p before a 1p surplus counts
+        const enough = amps >= minA;
+        if (enough || c.evMode === 'minpv') amps = Math.max(minA, amps);
+
+        if (allowed && (enough || c.evMode === 'minpv')) {
+            this.stopTimer = 0;
+            if (!this.active) {
+                if (this.startTimer === 0) this.startTimer = Date.now();
+                if (c.evMode === 'minpv' || Date.now() - this.startTimer > delayMs) {
+                    await this._setCharging(true, `${amps}A × ${this.phases}p, excess ${Math.round(available)}W`);
+                }
+            }
+            if (this.active) {
+                await reg._setForeignStateCon(c.currentStateId, amps, HOUR_MS, (c.minRegulatePauseMin || 1) * 60 * 1000, `${this.label} current`);
+                this._setRequested(amps * VOLTAGE * this.phases);
+            }
+        } else {
+            this.startTimer = 0;
+            if (this.active) {
+                // Too little surplus: stop after the delay, SOC condition: stop at once
+                if (this.stopTimer === 0) this.stopTimer = Date.now();
+                if (!allowed || Date.now() - this.stopTimer > delayMs) {
+                    await this._setCharging(false, allowed ? `excess ${Math.round(available)}W` : 'SOC condition');
+                } else {
+                    await reg._setForeignStateCon(c.currentStateId, minA, HOUR_MS, 0, `${this.label} minimum current`);
+                    this._setRequested(minA * VOLTAGE * this.phases);
+                }
+            }
+            if (!this.active) this._setRequested(0);
+        }
+        return this.requested;
+    }
+
+    /**
+     * 1p/3p decision with hysteresis, delay and minimum switch interval.
+     */
+    async _choosePhases(available, minA) {
+        const c = this.cfg;
+        const threePhaseMin = minA * VOLTAGE * 3;
+        const hysteresis = Number(c.stopPower) || 0;
+        const wanted = this.phases === 1
+            ? (available >= threePhaseMin ? 3 : 1)
+            : (available < threePhaseMin - hysteresis ? 1 : 3);
+        if (wanted === this.phases) {
+            this.phaseTimer = 0;
+            return;
+        }
+        if (this.phaseTimer === 0) this.phaseTimer = Date.now();
+        const delayOk = Date.now() - this.phaseTimer > (c.startDurationMin || 1) * 60 * 1000;
+        const intervalOk = Date.now() - this.phaseSwitchTs > (Number(c.phaseSwitchMin) || 15) * 60 * 1000;
+        if (!delayOk || !intervalOk) return;
+
+        const switched = await this.regulation._setForeignStateCon(c.phaseStateId, wanted, HOUR_MS, 0, `${this.label} ${wanted}-phase`);
+        if (switched || this.regulation.dryRun) {
+            this.adapter.log.info(`ExcessConsumer ${this.label}: Switching to ${wanted}-phase charging (excess ${Math.round(available)}W).`);
+            this.phases = wanted;
+            this.phaseSwitchTs = Date.now();
+            this.phaseTimer = 0;
+        }
+    }
+
+    async _setCharging(on, note) {
+        const c = this.cfg;
+        const reg = this.regulation;
+        const reason = `${this.label} ${on ? 'on' : 'off'} (${note})`;
+        if (c.switchStateId) {
+            const value = reg._parseValue(on ? c.switchOnValue : c.switchOffValue);
+            const switched = await reg._setForeignStateCon(c.switchStateId, value, HOUR_MS, (c.switchMinMin || 5) * 60 * 1000, reason);
+            if (!switched) return;
+        } else if (!on) {
+            await reg._setForeignState(c.currentStateId, 0, reason);
+        }
+        this.active = on;
+        this.adapter.log.info(`ExcessConsumer ${this.label}: ${on ? 'ON' : 'OFF'} (${note}).`);
+    }
+}
+
+/**
+ * Load with several relay stages (e.g. heating rod 500/1000/1500 W).
+ *
+ * stages: "stateId=W; stateId=W; ..." – one switch state per relay with its nominal power,
+ * switched with switchOnValue / switchOffValue. The combination with the highest power not
+ * above surplus + offsetPower is chosen. A relay changes at most every switchMinMin minutes;
+ * more power is only added after the surplus has been there for startDurationMin.
+ */
+class StagedConsumer extends ExcessConsumer {
+    constructor(regulation, cfg) {
+        super(regulation, cfg);
+        this.stages = parseStages(cfg.stages);
+        this.relays = null;
+        this.timer = 0;
+    }
+
+    fullPower() {
+        return this.stages.reduce((sum, stage) => sum + stage.watts, 0) + (Number(this.cfg.startPower) || 0);
+    }
+
+    async run(available) {
+        const c = this.cfg;
+        const reg = this.regulation;
+        if (!this.stages.length) return 0;
+        const switchMinMs = (c.switchMinMin || 5) * 60 * 1000;
+        const now = Date.now();
+
+        // Relay states: read once, then tracked (also in dry-run where nothing is written)
+        if (!this.relays) {
+            this.relays = [];
+            for (const stage of this.stages) {
+                const s = await this.adapter.getForeignStateAsync(stage.id);
+                const on = !!s && s.val == reg._parseValue(c.switchOnValue);
+                this.relays.push({ on, ts: s ? s.lc : 0 });
+            }
+        }
+        const currentPower = this._power(this.relays.map(r => r.on));
+
+        let target = (await this._socAllowed()) ? available + Number(c.offsetPower || 0) : 0;
+        if (currentPower === 0 && available <= Number(c.startPower)) target = 0;
+
+        // Best combination among those only switching relays that are free to change
+        let best = null;
+        for (let mask = 0; mask < (1 << this.stages.length); mask++) {
+            const combo = this.stages.map((_, i) => !!(mask & (1 << i)));
+            const locked = combo.some((on, i) => on !== this.relays[i].on && now - this.relays[i].ts < switchMinMs);
+            if (locked) continue;
+            const power = this._power(combo);
+            if (power > target) continue;
+            if (!best || power > best.power || (power === best.power && this._changes(combo) < this._changes(best.combo))) {
+                best = { combo, power };
+            }
+        }
+        if (!best) best = { combo: this.relays.map(r => r.on), power: currentPower };
+
+        // More power only after the surplus has been there for startDurationMin
+        if (best.power > currentPower) {
+            if (this.timer === 0) this.timer = now;
+            if (now - this.timer <= (c.startDurationMin || 1) * 60 * 1000) {
+                best = { combo: this.relays.map(r => r.on), power: currentPower };
+            }
+        } else {
+            this.timer = 0;
+        }
+
+        for (let i = 0; i < this.stages.length; i++) {
+            if (best.combo[i] === this.relays[i].on) continue;
+            const on = best.combo[i];
+            const value = reg._parseValue(on ? c.switchOnValue : c.switchOffValue);
+            const switched = await reg._setForeignStateCon(this.stages[i].id, value, HOUR_MS, switchMinMs, `${this.label} stage ${this.stages[i].watts}W ${on ? 'on' : 'off'}`);
+            if (switched || reg.dryRun) this.relays[i] = { on, ts: now };
+        }
+
+        const power = this._power(this.relays.map(r => r.on));
+        if (power !== currentPower) {
+            this.adapter.log.info(`ExcessConsumer ${this.label}: ${currentPower}W → ${power}W (excess ${Math.round(available)}W).`);
+        }
+        this.active = power > 0;
+        this._setRequested(power);
+        return power;
+    }
+
+    _power(combo) {
+        return combo.reduce((sum, on, i) => sum + (on ? this.stages[i].watts : 0), 0);
+    }
+
+    _changes(combo) {
+        return combo.filter((on, i) => on !== this.relays[i].on).length;
+    }
+}
+
+/**
+ * Parse "stateId=W; stateId=W" into relay stages.
+ * @param {string} text
+ * @returns {Array<{id: string, watts: number}>}
+ */
+function parseStages(text) {
+    return String(text || '').split(/[;\n]+/)
+        .map(part => {
+            const idx = part.lastIndexOf('=');
+            if (idx < 0) return null;
+            const id = part.slice(0, idx).trim();
+            const watts = Number(part.slice(idx + 1).trim());
+            return id && watts > 0 ? { id, watts } : null;
+        })
+        .filter(Boolean);
+}
+
+/** SG-Ready modes → values of input 1 / input 2 */
+const SG_MODES = {
+    blocked: [true, false],
+    normal: [false, false],
+    recommended: [false, true],
+    forced: [true, true]
+};
+const SG_ORDER = ['normal', 'recommended', 'forced'];
+
+/**
+ * Heat pump with SG-Ready inputs (sg1StateId / sg2StateId, written with switchOnValue / switchOffValue).
+ *
+ * recommended from startPower surplus, back to normal at stopPower;
+ * forced from forcePower, back to recommended below forcePower − (startPower − stopPower).
+ * Higher modes need the surplus for startDurationMin, every mode is kept for at least
+ * switchMinMin. The SOC condition falls back to normal, blockStateId = true blocks the heat pump.
+ */
+class SgReadyConsumer extends ExcessConsumer {
+    constructor(regulation, cfg) {
+        super(regulation, cfg);
+        this.mode = null;
+        this.modeTs = 0;
+        this.timer = 0;
+    }
+
+    /** A forced run from the grid uses the "recommended" mode */
+    fullPower() {
+        return Number(this.cfg.startPower) || 0;
+    }
+
+    async run(available) {
+        const c = this.cfg;
+        if (!c.sg1StateId || !c.sg2StateId) return 0;
+        const now = Date.now();
+        const startPower = Number(c.startPower) || 0;
+        const stopPower = Number(c.stopPower) || 0;
+        const forcePower = Number(c.forcePower) || 0;
+
+        let blocked = false;
+        if (c.blockStateId) {
+            const s = await this.adapter.getForeignStateAsync(c.blockStateId);
+            blocked = !!s && (s.val === true || s.val === 'true' || Number(s.val) === 1);
+        }
+
+        const current = this.mode || 'normal';
+        let wanted = 'normal';
+        if (blocked) {
+            wanted = 'blocked';
+        } else if (await this._socAllowed()) {
+            const forceOff = forcePower - (startPower - stopPower);
+            if (forcePower > 0 && (available >= forcePower || (current === 'forced' && available >= forceOff))) {
+                wanted = 'forced';
+            } else if (available >= startPower || (current !== 'normal' && current !== 'blocked' && available > stopPower)) {
+                wanted = 'recommended';
+            }
+        }
+
+        if (wanted !== current) {
+            const up = SG_ORDER.indexOf(wanted) > SG_ORDER.indexOf(current) && current !== 'blocked';
+            if (up) {
+                if (this.timer === 0) this.timer = now;
+                if (now - this.timer <= (c.startDurationMin || 1) * 60 * 1000) wanted = current;
+            } else {
+                this.timer = 0;
+            }
+            // Dwell time – blocking always applies at once
+            if (wanted !== 'blocked' && this.mode !== null && now - this.modeTs < (c.switchMinMin || 5) * 60 * 1000) wanted = current;
+        } else {
+            this.timer = 0;
+        }
+
+        if (wanted !== this.mode) {
+            await this._setMode(wanted, `excess ${Math.round(available)}W`);
+        }
+
+        this.active = this.mode === 'recommended' || this.mode === 'forced';
+        this._setRequested(this.active ? Number(c.maxPower) || 0 : 0);
+        await this.adapter.setStateAsync(`consumers.${this.id}.mode`, this.mode || 'normal', true);
+        return this.requested;
+    }
+
+    async _setMode(mode, note) {
+        const c = this.cfg;
+        const reg = this.regulation;
+        const [in1, in2] = SG_MODES[mode];
+        const toValue = on => reg._parseValue(on ? c.switchOnValue : c.switchOffValue);
+        const reason = `${this.label} SG-Ready ${mode} (${note})`;
+        await reg._setForeignStateCon(c.sg1StateId, toValue(in1), HOUR_MS, 0, reason);
+        await reg._setForeignStateCon(c.sg2StateId, toValue(in2), HOUR_MS, 0, reason);
+        // The initial write only establishes a known state and starts no dwell time
+        if (this.mode !== null) {
+            this.adapter.log.info(`ExcessConsumer ${this.label}: SG-Ready ${this.mode} → ${mode} (${note}).`);
+            this.modeTs = Date.now();
+        }
+        this.mode = mode;
+    }
+}
+
+/** Consumer classes by the type column */
+const CONSUMER_TYPES = {
+    power: PowerConsumer,
+    storage: StorageConsumer,
+    wallbox: EvChargerConsumer,
+    staged: StagedConsumer,
+    sgready: SgReadyConsumer
+};
+
+class ExcessConsumers {
+    /**
+     * @param {import('./regulation')} regulation
+     * @param {object} cfg  Adapter config (excessConsumers, excessCharge, storageSink)
+     */
+    constructor(regulation, cfg) {
+        this.regulation = regulation;
+        this.adapter = regulation.adapter;
+        this.list = ExcessConsumers.buildRows(cfg)
+            .map(row => new (CONSUMER_TYPES[row.type] || PowerConsumer)(regulation, row))
+            .sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Consumer rows from the table plus the legacy single consumers, in priority order.
+     * @param {object} cfg  Adapter config
+     * @returns {object[]}
+     */
+    static buildRows(cfg) {
+        const rows = (Array.isArray(cfg.excessConsumers) ? cfg.excessConsumers : [])
+            .filter(row => row && row.enabled !== false && row.id)
+            .map(row => ({ ...row, type: row.type || 'power' }));
+        if (cfg.excessCharge && cfg.excessCharge.enabled && cfg.excessCharge.powerStateId) {
+            rows.unshift({ ...cfg.excessCharge, id: 'excessCharge', name: 'ExcessCharge', type: 'power', priority: -Infinity });
+        }
+        const ss = cfg.storageSink;
+        if (ss && ss.enabled && ss.serial) {
+            rows.push({ id: 'storageSink', name: 'StorageSink', type: 'storage', priority: Infinity, actualPowerStateId: ss.actualPowerStateId, sinkCfg: ss });
+        }
+        return rows;
+    }
+
+    get enabled() {
+        return this.list.length > 0;
+    }
+
+    /**
+     * Sum of the measured consumer power (W), subtracted in updateRealPower().
+     */
+    async readActualPower() {
+        let sum = 0;
+        for (const consumer of this.list) sum += await consumer.readActualPower();
+        return sum;
+    }
+
+    /**
+     * Distribute the surplus from the highest priority downwards (or force consumers that
+     * need their minimum runtime) and publish the consumers.<id> states.
+     * @param {number} ueberschuss  Surplus in W
+     */
+    async run(ueberschuss) {
+        const now = Date.now();
+        const slots = this.list.some(c => Number(c.cfg.minRuntimeMin) > 0) ? await this.regulation._readPriceSlots() : [];
+
+        let available = ueberschuss;
+        for (const consumer of this.list) available += consumer.unmeasuredPower();
+
+        for (const consumer of this.list) {
+            if (consumer.day === null) await consumer.restoreCounters();
+            await consumer.account(now);
+
+            const fill = consumer.fillNeeded(now, slots);
+            if (fill !== consumer.fill) {
+                this.adapter.log.info(`ExcessConsumer ${consumer.label}: ${fill ? `running from grid to reach ${consumer.cfg.minRuntimeMin} min by ${consumer.cfg.deadline || '20:00'}` : 'grid run finished'} (runtime today ${Math.round(consumer.runtimeMs / 60000)} min).`);
+                consumer.fill = fill;
+            }
+
+            const wasActive = consumer.active;
+            const requested = await consumer.run(fill ? Math.max(available, consumer.fullPower()) : available);
+            if (consumer.active !== wasActive) {
+                await this.regulation._notify('excessConsumer', consumer.id, `${consumer.label} ${consumer.active ? 'ON' : 'OFF'} (excess ${Math.round(available)}W).`);
+            }
+            await this.adapter.setStateAsync(`consumers.${consumer.id}.power`, requested, true);
+            await this.adapter.setStateAsync(`consumers.${consumer.id}.active`, consumer.active, true);
+            await this.adapter.setStateAsync(`consumers.${consumer.id}.gridFill`, consumer.fill, true);
+            await this.adapter.setStateAsync(`consumers.${consumer.id}.runtimeToday`, Math.round(consumer.runtimeMs / 60000), true);
+            await this.adapter.setStateAsync(`consumers.${consumer.id}.energyToday`, Math.round(consumer.energyWh) / 1000, true);
+            available -= await consumer.claimedPower();
+        }
+    }
+}
+
+module.exports = { ExcessConsumers, ExcessConsumer, PowerConsumer, StorageConsumer, EvChargerConsumer, StagedConsumer, SgReadyConsumer, CONSUMER_TYPES, parseStages };
@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * MeterInput – input stage for the smart meter value.
+ *
+ * Config (regulation):
+ *   meterMode           'power'        one signed state (smartmeterStateId, + = import)
+ *                       'importExport' two positive states (meterImportStateId − meterExportStateId)
+ *                       'phases'       signed per-phase states, summed (meterPhaseStateIds)
+ *                       'counter'      cumulative energy counters (OBIS 1.8.0 / 2.8.0) in
+ *                                      meterImportStateId / meterExportStateId
+ *   meterCounterUnit    'kWh' or 'Wh' (counter mode)
+ *   meterCounterMinSec  Min. time between two counter readings for a power value (counter mode)
+ *   meterCounterMax     Value at which the counter rolls over to 0 (counter mode, 0 = unknown)
+ *   meterInvert         Meter reports export as positive → flip the sign (not in counter mode)
+ *   meterUnit           'W' or 'kW' (kW values are scaled to W, not in counter mode)
+ *   meterFilter         'none' or 'median' (median of the last meterMedianSamples samples, 3–15)
+ *   meterOutlierW       Reject a sample deviating more than this from the median (0 = off).
+ *                       A second sample at the new level confirms it (real load step).
+ *   meterMaxRateW       Max change in W per second; faster changes are limited (0 = off)
+ *   meterStuckMin       Reject the value if it has not changed for this many minutes (0 = off)
+ *   meterFallbacks      Secondary meters, used in order while the primary is stale:
+ *                       [{ enabled, stateId, timeoutMin, invert, unit }] (see fallbacks())
+ *
+ * Each sample (state ts) is processed once, so run() and updateRealPower() reading the
+ * same state get the same result. Rejected and limited samples are counted.
+ *
+ * In counter mode the power is the energy delta between two readings divided by their
+ * time difference. A counter that did not publish in between counts as unchanged (no
+ * energy flow), so meters that only publish on change work as well. A counter going
+ * backwards is a rollover (meterCounterMax) or a reset; a reset is skipped.
+ */
+
+const WINDOW_MAX = 15;
+
+class MeterInput {
+    /**
+     * @param {object} cfg  regulation section of the adapter config
+     */
+    constructor(cfg) {
+        this.cfg = cfg || {};
+        /** Accepted samples (W) for the median / outlier check */
+        this.window = [];
+        this.lastTs = 0;
+        /** Result of the last sample: { power, rejected } */
+        this.last = null;
+        /** ts of the last accepted sample (rate limit) */
+        this.acceptedTs = 0;
+        this.pendingOutlier = null;
+        /** Rejected or limited samples since adapter start */
+        this.rejected = 0;
+        this.lastReason = '';
+        /** Counter mode: last reading { ts, wh[] }, derived power per counter and its ts */
+        this.counterBase = null;
+        this.counterPower = [];
+        this.counterTs = 0;
+    }
+
+    /**
+     * Counter mode is waiting for the second reading (no power value yet).
+     */
+    get pending() {
+        return this.cfg.meterMode === 'counter' && !this.counterTs;
+    }
+
+    /**
+     * State IDs the meter reading is made of, depending on meterMode.
+     * @param {object} cfg  regulation section of the adapter config
+     * @returns {string[]}
+     */
+    static stateIds(cfg) {
+        const ids = list => list.map(id => String(id || '').trim()).filter(Boolean);
+        switch (cfg && cfg.meterMode) {
+            case 'importExport':
+            case 'counter':
+                return cfg.meterImportStateId ? ids([cfg.meterImportStateId, cfg.meterExportStateId]) : [];
+            case 'phases':
+                return ids(String(cfg.meterPhaseStateIds || '').split(/[,;\s]+/));
+            default:
+                return ids([cfg && cfg.smartmeterStateId]);
+        }
+    }
+
+    /**
+     * Enabled fallback meters in configured order. Each one is a single signed state with
+     * its own timeout (default smartmeterTimeoutMin) and its own sign / unit stage.
+     * @param {object} cfg  regulation section of the adapter config
+     * @returns {Array<{id: string, timeoutMs: number, input: MeterInput}>}
+     */
+    static fallbacks(cfg) {
+        const rows = Array.isArray(cfg && cfg.meterFallbacks) ? cfg.meterFallbacks : [];
+        return rows
+            .filter(row => row && row.enabled !== false && String(row.stateId || '').trim())
+            .map(row => {
+                const id = String(row.stateId).trim();
+                return {
+                    id,
+                    timeoutMs: (Number(row.timeoutMin) || Number(cfg.smartmeterTimeoutMin) || 4) * 60000,
+                    input: new MeterInput({ meterMode: 'power', smartmeterStateId: id, meterInvert: !!row.invert, meterUnit: row.unit || 'W' })
+                };
+            });
+    }
+
+    /**
+     * Combine the states of stateIds() into one reading in meter units.
+     * ts / lc are the newest of the states: a meter that only publishes on change
+     * (e.g. an export state at night) does not make the reading stale.
+     * @param {Array<{val: *, ts: number, lc?: number}|null>} states  in the order of stateIds()
+     * @returns {{val: number, ts: number, lc: number}|null}  null if a required state is missing
+     */
+    combine(states) {
+        if (!states.length) return null;
+        if (this.cfg.meterMode === 'counter') return this._combineCounters(states);
+        if (states.length === 1 && this.cfg.meterMode !== 'importExport') return states[0];
+        let val;
+        if (this.cfg.meterMode === 'importExport') {
+            const [imp, exp] = states;
+            if (!imp) return null;
+            val = Number(imp.val) - (exp ? Number(exp.val) : 0);
+        } else {
+            if (states.some(s => !s)) return null;
+            val = states.reduce((sum, s) => sum + Number(s.val), 0);
+        }
+        const present = states.filter(Boolean);
+        return {
+            val,
+            ts: Math.max(...present.map(s => Number(s.ts) || 0)),
+            lc: Math.max(...present.map(s => Number(s.lc) || 0))
+        };
+    }
+
+    /**
+     * Average power of the import and export counters since the last reading.
+     * @param {Array<{val: *, ts: number}|null>} states  [import, export]
+     * @returns {{val: number, ts: number, lc: number}|null}  val in W; ts of the last derivation
+     */
+    _combineCounters(states) {
+        if (!states[0]) return null;
+        const scale = String(this.cfg.meterCounterUnit || 'kWh').toLowerCase() === 'wh' ? 1 : 1000;
+        const wh = states.map(s => (s ? Number(s.val) * scale : NaN));
+        const ts = Math.max(...states.filter(Boolean).map(s => Number(s.ts) || 0));
+        if (!Number.isFinite(wh[0])) return null;
+
+        const base = this.counterBase;
+        const minMs = (Number(this.cfg.meterCounterMinSec) || 30) * 1000;
+        if (!base) {
+            this.counterBase = { ts, wh };
+        } else if (ts - base.ts >= minMs) {
+            const dt = ts - base.ts;
+            const max = (Number(this.cfg.meterCounterMax) || 0) * scale;
+            wh.forEach((value, i) => {
+                if (!Number.isFinite(value)) return;
+                if (!Number.isFinite(base.wh[i])) {
+                    this.counterPower[i] = 0;
+                    return;
+                }
+                let delta = value - base.wh[i];
+                if (delta < 0 && max > 0 && base.wh[i] > max * 0.9 && value < max * 0.1) {
+                    delta += max;
+                } else if (delta < 0) {
+                    // Reset: keep the last power of this counter
+                    this.rejected++;
+                    this.lastReason = 'counterReset';
+                    return;
+                }
+                this.counterPower[i] = delta * 3600000 / dt;
+            });
+            this.counterBase = { ts, wh };
+            this.counterTs = ts;
+        }
+
+        if (!this.counterTs) return null;
+        const power = (this.counterPower[0] || 0) - (this.counterPower[1] || 0);
+        return { val: power, ts: this.counterTs, lc: this.counterTs };
+    }
+
+    /**
+     * Convert a raw meter reading to W (sign and unit).
+     * @param {*} val
+     * @returns {number}  NaN if the value is not numeric
+     */
+    normalize(val) {
+        let watts = Number(val);
+        if (val === null || val === '' || !Number.isFinite(watts)) return NaN;
+        if (this.cfg.meterMode === 'counter') return watts;
+        if (String(this.cfg.meterUnit || 'W').toLowerCase() === 'kw') watts *= 1000;
+        if (this.cfg.meterInvert) watts = -watts;
+        return watts;
+    }
+
+    /**
+     * Run a smart meter state through the input stage.
+     * @param {{val: *, ts: number, lc?: number}} state
+     * @param {number} [now]
+     * @returns {{power: number|null, rejected: string}}
+     *          power null = no usable value (treat like stale data)
+     */
+    read(state, now = Date.now()) {
+        // Stuck: the meter keeps sending, but the value does not change
+        const stuckMs = (Number(this.cfg.meterStuckMin) || 0) * 60000;
+        const stuck = stuckMs > 0 && state.lc && now - state.lc > stuckMs;
+
+        if (state.ts === this.lastTs && this.last) {
+            if (stuck) return { power: null, rejected: 'stuck' };
+            return { power: this.last.power, rejected: this.last.rejected };
+        }
+        this.lastTs = state.ts;
+
+        const prev = this.last ? this.last.power : null;
+        const result = this._process(state, stuck, prev);
+        this.last = result;
+        if (result.rejected) {
+            this.rejected++;
+            this.lastReason = result.rejected;
+        }
+        return { power: result.power, rejected: result.rejected };
+    }
+
+    _process(state, stuck, prev) {
+        const watts = this.normalize(state.val);
+        if (Number.isNaN(watts)) return { power: prev, rejected: 'invalid' };
+        if (stuck) return { power: null, rejected: 'stuck' };
+
+        // Outlier against the median of the accepted samples
+        const outlierW = Number(this.cfg.meterOutlierW) || 0;
+        if (outlierW > 0 && this.window.length >= 3) {
+            const median = MeterInput.median(this.window);
+            if (Math.abs(watts - median) > outlierW) {
+                const confirmed = this.pendingOutlier !== null && Math.abs(watts - this.pendingOutlier) <= outlierW;
+                if (!confirmed) {
+                    this.pendingOutlier = watts;
+                    return { power: prev, rejected: 'outlier' };
+                }
+                // New level confirmed – restart the window from here
+                this.window = [this.pendingOutlier];
+            }
+        }
+        this.pendingOutlier = null;
+
+        // Rate of change against the last accepted sample
+        let value = watts;
+        let rejected = '';
+        const maxRate = Number(this.cfg.meterMaxRateW) || 0;
+        const lastValue = this.window[this.window.length - 1];
+        if (maxRate > 0 && lastValue !== undefined && this.acceptedTs) {
+            const maxStep = maxRate * Math.max(1, (state.ts - this.acceptedTs) / 1000);
+            if (Math.abs(value - lastValue) > maxStep) {
+                value = lastValue + Math.sign(value - lastValue) * maxStep;
+                rejected = 'rate';
+            }
+        }
+        this.acceptedTs = state.ts;
+
+        this.window.push(value);
+        const size = Math.min(WINDOW_MAX, Math.max(3, Number(this.cfg.meterMedianSamples) || 5));
+        while (this.window.length > size) this.window.shift();
+
+        const power = this.cfg.meterFilter === 'median' ? MeterInput.median(this.window) : value;
+        return { power, rejected };
+    }
+
+    /**
+     * @param {number[]} values
+     * @returns {number}
+     */
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+module.exports = { MeterInput };
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Notifier – forwards adapter events to the ioBroker notification system and to
+ * messaging adapters (telegram, pushover, email, ...) via sendTo.
+ *
+ * Config (notifications):
+ *   { enabled, useSystem, instances, minIntervalMin, <event flags> }
+ *
+ * Every event has its own enable flag. Messages of the same event and key (e.g. the
+ * same inverter) are sent at most once per minIntervalMin; suppressed messages are
+ * only logged at debug level.
+ */
+
+/** Events (the key is also the enable flag in the config) and their notification category */
+const EVENTS = {
+    batteryFull:         { category: 'info' },
+    excessConsumer:      { category: 'info' },
+    smartmeterStale:     { category: 'alarm' },
+    qualityAlarm:        { category: 'alarm' },
+    mqttDisconnected:    { category: 'alarm' },
+    mqttReconnectFailed: { category: 'alarm' }
+};
+
+/** Scope of the categories in io-package.json → notifications */
+const SCOPE = 'ecoflow-powercontrol';
+
+class Notifier {
+    /**
+     * @param {import('@iobroker/adapter-core').AdapterInstance} adapter
+     * @param {object} cfg  notifications section of the adapter config
+     */
+    constructor(adapter, cfg) {
+        this.adapter = adapter;
+        this.cfg = cfg || {};
+        /** Last send time per event:key */
+        this.lastSent = {};
+    }
+
+    get enabled() {
+        return !!this.cfg.enabled;
+    }
+
+    /**
+     * Messaging instances from the comma separated config, e.g. "telegram.0, pushover.0".
+     * @returns {string[]}
+     */
+    get instances() {
+        return String(this.cfg.instances || '').split(/[,;\s]+/).map(s => s.trim()).filter(Boolean);
+    }
+
+    /**
+     * Send a notification if the event is enabled and not rate limited.
+     * @param {string} event  Key of EVENTS
+     * @param {string} key    Source within the event (inverter, consumer, alarm); '' if unique
+     * @param {string} text
+     */
+    async notify(event, key, text) {
+        const def = EVENTS[event];
+        if (!def || !this.enabled || !this.cfg[event]) return;
+
+        const id = key ? `${event}:${key}` : event;
+        const minIntervalMs = (Number(this.cfg.minIntervalMin) || 30) * 60 * 1000;
+        const now = Date.now();
+        if (this.lastSent[id] && now - this.lastSent[id] < minIntervalMs) {
+            this.adapter.log.debug(`Notifier: '${id}' suppressed (rate limit): ${text}`);
+            return;
+        }
+        this.lastSent[id] = now;
+
+        const message = `${this.adapter.namespace}: ${text}`;
+        if (this.cfg.useSystem !== false && typeof this.adapter.registerNotification === 'function') {
+            try {
+                await this.adapter.registerNotification(SCOPE, def.category, message);
+            } catch (e) {
+                this.adapter.log.warn(`Notifier: ioBroker notification failed: ${e.message}`);
+            }
+        }
+        for (const instance of this.instances) {
+            try {
+                this.adapter.sendTo(instance, 'send', Notifier.payload(instance, message));
+            } catch (e) {
+                this.adapter.log.warn(`Notifier: sendTo ${instance} failed: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Message object in the format the messaging adapter expects.
+     * @param {string} instance  e.g. telegram.0
+     * @param {string} message
+     * @returns {object}
+     */
+    static payload(instance, message) {
+        const title = 'EcoFlow PowerControl';
+        switch (instance.split('.')[0]) {
+            case 'telegram':
+                return { text: message };
+            case 'pushover':
+                return { message, title };
+            case 'email':
+                return { subject: title, text: message };
+            default:
+                return { text: message, message, title };
+        }
+    }
+}
+
+module.exports = { Notifier, EVENTS };
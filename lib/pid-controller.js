@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * PidController – discrete PID controller with output clamping and anti-windup.
+ *
+ * Used by the PID distribution strategy (regulation.multiPsMode = 2) to track
+ * basePowerOffset on the grid power. The output is the total feed-in (W) of all
+ * regulated inverters.
+ */
+class PidController {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.kp]  Proportional gain (W per W error)
+     * @param {number} [options.ki]  Integral gain (W per W error and second)
+     * @param {number} [options.kd]  Derivative gain (W per W error change per second)
+     */
+    constructor(options = {}) {
+        this.setTunings(options.kp, options.ki, options.kd);
+        this.reset();
+    }
+
+    /**
+     * Update the controller gains. Non-numeric values fall back to 0.
+     * @param {number} kp
+     * @param {number} ki
+     * @param {number} kd
+     */
+    setTunings(kp, ki, kd) {
+        this.kp = Number(kp) || 0;
+        this.ki = Number(ki) || 0;
+        this.kd = Number(kd) || 0;
+    }
+
+    /**
+     * Reset the controller. The integral term can be preset for a bumpless start
+     * (e.g. with the current feed-in of the regulated inverters).
+     * @param {number} [integral]
+     */
+    reset(integral = 0) {
+        this.integral = integral;
+        this.lastError = null;
+        this.lastTs = 0;
+        this.initialized = false;
+    }
+
+    /**
+     * Compute the new controller output.
+     *
+     * @param {number} error    Setpoint deviation (positive = more output needed)
+     * @param {number} outMin   Lower output limit
+     * @param {number} outMax   Upper output limit
+     * @param {number} [now]    Timestamp in ms
+     * @returns {number}        Clamped controller output
+     */
+    update(error, outMin, outMax, now = Date.now()) {
+        const dt = this.lastTs > 0 ? (now - this.lastTs) / 1000 : 0;
+
+        const p = this.kp * error;
+        const d = (dt > 0 && this.lastError !== null) ? this.kd * (error - this.lastError) / dt : 0;
+
+        // Anti-windup: the integral may only fill the range the P and D terms leave open
+        let integral = this.integral + this.ki * error * dt;
+        integral = Math.min(Math.max(integral, outMin - p - d), outMax - p - d);
+        this.integral = Math.min(Math.max(integral, outMin), outMax);
+
+        this.lastError = error;
+        this.lastTs = now;
+        this.initialized = true;
+
+        return Math.min(Math.max(p + this.integral + d, outMin), outMax);
+    }
+}
+
+module.exports = { PidController };
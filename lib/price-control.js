@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * PriceControl – decides from a dynamic tariff whether battery-backed inverters
+ * may cover the household load now or should hold the energy for expensive hours.
+ *
+ * Config (priceControl):
+ *   { enabled, priceStateId, forecastStateId, threshold, topHours }
+ *
+ * The forecast state holds a JSON array of price slots, as provided by the
+ * Tibber (tibberlink: PricesToday/PricesTomorrow .json) or aWATTar adapters, e.g.
+ *   [{ "startsAt": "...", "total": 0.31 }, ...]  or  { "data": [{ "start_timestamp": ..., "marketprice": ... }] }
+ * Several forecast states (e.g. today and tomorrow) can be given comma-separated.
+ * Without a price state, the price of the current forecast slot is used.
+ */
+
+const PRICE_KEYS = ['total', 'price', 'marketprice', 'value', 'energy'];
+const START_KEYS = ['startsAt', 'start', 'start_timestamp', 'startTime', 'from', 'ts'];
+const END_KEYS = ['endsAt', 'end', 'end_timestamp', 'endTime', 'to'];
+const DEFAULT_SLOT_MS = 60 * 60 * 1000;
+
+class PriceControl {
+    /**
+     * @param {object} cfg  priceControl section of the adapter config
+     */
+    constructor(cfg) {
+        this.cfg = cfg || {};
+    }
+
+    get enabled() {
+        return !!(this.cfg.enabled && (this.cfg.priceStateId || this.cfg.forecastStateId));
+    }
+
+    /**
+     * Evaluate the current slot.
+     *
+     * @param {number|null} currentPrice  Value of the price state (null if not configured)
+     * @param {Array<{start: number, end: number, price: number}>} slots  Parsed forecast
+     * @param {number} [now]
+     * @returns {{hold: boolean, price: number|null, reason: string}}
+     */
+    evaluate(currentPrice, slots, now = Date.now()) {
+        const current = slots.find(slot => slot.start <= now && now < slot.end);
+        const price = Number.isFinite(currentPrice) ? currentPrice : (current ? current.price : null);
+        if (price === null) {
+            return { hold: false, price: null, reason: 'no price data – normal regulation' };
+        }
+
+        // threshold 0 = not used
+        const threshold = Number(this.cfg.threshold) || 0;
+        if (threshold > 0 && price < threshold) {
+            return { hold: true, price, reason: `price ${price} below threshold ${threshold}` };
+        }
+
+        const topHours = Number(this.cfg.topHours) || 0;
+        if (topHours > 0 && current) {
+            const slotMs = (current.end - current.start) || DEFAULT_SLOT_MS;
+            const topCount = Math.max(1, Math.round(topHours * 60 * 60 * 1000 / slotMs));
+            // Rank only what is still ahead today – past hours and tomorrow must not shift the limit
+            const midnight = new Date(now);
+            midnight.setHours(24, 0, 0, 0);
+            const ranked = slots
+                .filter(slot => slot.end > now && slot.start < midnight.getTime())
+                .sort((a, b) => b.price - a.price);
+            const limit = ranked[Math.min(topCount, ranked.length) - 1].price;
+            if (current.price < limit) {
+                return { hold: true, price, reason: `outside the ${topHours} most expensive hours (from ${limit})` };
+            }
+            return { hold: false, price, reason: `within the ${topHours} most expensive hours` };
+        }
+
+        return { hold: false, price, reason: threshold > 0 ? 'price above threshold' : 'no limit configured' };
+    }
+}
+
+/**
+ * Parse a forecast state value into sorted price slots.
+ * @param {*} raw  State value (JSON string, array or object)
+ * @returns {Array<{start: number, end: number, price: number}>}
+ */
+function parseForecast(raw) {
+    let data = raw;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (_) {
+            return [];
+        }
+    }
+    if (data && !Array.isArray(data)) {
+        data = data.data || data.prices || data.today || [];
+    }
+    if (!Array.isArray(data)) return [];
+
+    const slots = [];
+    for (const entry of data) {
+        if (!entry || typeof entry !== 'object') continue;
+        const price = Number(pick(entry, PRICE_KEYS));
+        const start = toTs(pick(entry, START_KEYS));
+        if (!Number.isFinite(price) || !start) continue;
+        const end = toTs(pick(entry, END_KEYS));
+        slots.push({ start, end, price });
+    }
+    slots.sort((a, b) => a.start - b.start);
+
+    // Missing end times: up to the next slot, the last one gets the preceding slot length
+    for (let i = 0; i < slots.length; i++) {
+        if (slots[i].end > slots[i].start) continue;
+        const next = slots[i + 1];
+        const prevLength = i > 0 ? slots[i].start - slots[i - 1].start : DEFAULT_SLOT_MS;
+        slots[i].end = next ? next.start : slots[i].start + prevLength;
+    }
+    return slots;
+}
+
+/**
+ * Start of the cheapest window of the given length between `from` and `to`.
+ * Candidate starts are `from` and every slot start; the window must be fully covered by slots.
+ * @param {Array<{start: number, end: number, price: number}>} slots
+ * @param {number} from
+ * @param {number} to
+ * @param {number} durationMs
+ * @returns {number|null}  Window start, or null without (complete) forecast
+ */
+function findCheapestWindow(slots, from, to, durationMs) {
+    if (!slots.length || durationMs <= 0) return null;
+    const starts = [from, ...slots.map(slot => slot.start).filter(t => t > from)];
+    let best = null;
+    for (const start of starts) {
+        const end = start + durationMs;
+        if (end > to) break;
+        let covered = 0;
+        let cost = 0;
+        for (const slot of slots) {
+            const overlap = Math.min(end, slot.end) - Math.max(start, slot.start);
+            if (overlap <= 0) continue;
+            covered += overlap;
+            cost += overlap * slot.price;
+        }
+        if (covered < durationMs) continue;
+        if (!best || cost < best.cost) best = { start, cost };
+    }
+    return best ? best.start : null;
+}
+
+/**
+ * First non-empty value of the given keys.
+ * @param {object} entry
+ * @param {string[]} keys
+ * @returns {*}
+ */
+function pick(entry, keys) {
+    for (const key of keys) {
+        if (entry[key] !== undefined && entry[key] !== null && entry[key] !== '') return entry[key];
+    }
+    return undefined;
+}
+
+/**
+ * Timestamp in ms from ms, seconds or a date string.
+ * @param {*} value
+ * @returns {number}  0 if not parseable
+ */
+function toTs(value) {
+    if (value === undefined) return 0;
+    const n = Number(value);
+    if (Number.isFinite(n)) return n < 1e11 ? n * 1000 : n;
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+}
+
+module.exports = { PriceControl, parseForecast, findCheapestWindow, pick, toTs };
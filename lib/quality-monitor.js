@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * QualityMonitor – tracks how well the regulation keeps the grid power at basePowerOffset.
+ *
+ * One sample per regulation cycle. Like the EnergyCounter, each sample is counted for
+ * the time up to the next one; samples older than smartmeterTimeoutMin (fallback
+ * power in use) and gaps longer than MAX_GAP_MS are not counted.
+ *
+ *   exportTimeToday / exportEnergyToday  time and energy exported since midnight
+ *   avgDeviation                         time-weighted mean |grid − basePowerOffset| of the last hour
+ *   setpointChangesPerHour               inverter setpoint writes in the last hour
+ *
+ * Alarms (regulation.alarm*, 0 = off):
+ *   export   grid export above alarmExportWatts for alarmExportMin minutes
+ *   stale    smart meter value older than alarmStaleMin minutes (or missing)
+ *   changes  more than alarmChangesPerHour setpoint changes in the last hour
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_GAP_MS = 5 * 60 * 1000;
+
+const ALARMS = ['export', 'stale', 'changes'];
+
+class QualityMonitor {
+    /**
+     * @param {object} cfg  regulation section of the adapter config
+     */
+    constructor(cfg) {
+        this.cfg = cfg || {};
+        this.day = new Date().toDateString();
+        this.exportMs = 0;
+        this.exportWh = 0;
+        /** Samples of the last hour: { ts, dt, deviation, changes } */
+        this.window = [];
+        this.last = null;
+        this.exportSince = 0;
+        this.alarms = { export: false, stale: false, changes: false };
+    }
+
+    /**
+     * Continue the daily export totals after a restart.
+     * @param {number} minutes  Stored exportTimeToday
+     * @param {number} kWh      Stored exportEnergyToday
+     * @param {number} ts       Timestamp of the stored values
+     */
+    restore(minutes, kWh, ts) {
+        if (new Date(ts).toDateString() !== this.day) return;
+        this.exportMs = (Number(minutes) || 0) * 60000;
+        this.exportWh = (Number(kWh) || 0) * 1000;
+    }
+
+    /**
+     * Add the sample of a regulation cycle.
+     * @param {{grid: number, ageMs: number, offset: number, changes: number}} sample
+     *        Measured grid power (W, export negative), age of the smart meter value,
+     *        basePowerOffset and number of setpoint changes in this cycle
+     * @param {number} [now]
+     * @returns {{changed: string[]}}  Alarms that were raised or cleared by this sample
+     */
+    add(sample, now = Date.now()) {
+        const day = new Date(now).toDateString();
+        if (day !== this.day) {
+            this.day = day;
+            this.exportMs = 0;
+            this.exportWh = 0;
+        }
+
+        const ageMs = Number.isFinite(sample.ageMs) ? sample.ageMs : Infinity;
+        const stale = ageMs > (Number(this.cfg.smartmeterTimeoutMin) || 4) * 60000;
+
+        // Count the previous sample up to now
+        const prev = this.last;
+        const dt = prev ? now - prev.ts : 0;
+        if (prev && !prev.stale && dt > 0 && dt <= MAX_GAP_MS) {
+            if (prev.grid < 0) {
+                this.exportMs += dt;
+                this.exportWh += -prev.grid * dt / HOUR_MS;
+            }
+            this.window.push({ ts: now, dt, deviation: Math.abs(prev.grid - prev.offset), changes: 0 });
+        }
+        this.window.push({ ts: now, dt: 0, deviation: 0, changes: Number(sample.changes) || 0 });
+        while (this.window.length && now - this.window[0].ts > HOUR_MS) this.window.shift();
+        this.last = { ts: now, grid: Number(sample.grid) || 0, offset: Number(sample.offset) || 0, stale };
+
+        // Alarm conditions
+        const exportWatts = Number(this.cfg.alarmExportWatts) || 0;
+        if (exportWatts > 0 && !stale && -this.last.grid > exportWatts) {
+            if (!this.exportSince) this.exportSince = now;
+        } else {
+            this.exportSince = 0;
+        }
+
+        const exportMin = Number(this.cfg.alarmExportMin) || 10;
+        const staleMin = Number(this.cfg.alarmStaleMin) || 0;
+        const changesLimit = Number(this.cfg.alarmChangesPerHour) || 0;
+        const next = {
+            export: !!this.exportSince && now - this.exportSince >= exportMin * 60000,
+            stale: staleMin > 0 && ageMs > staleMin * 60000,
+            changes: changesLimit > 0 && this.setpointChangesPerHour > changesLimit
+        };
+        const changed = ALARMS.filter(name => next[name] !== this.alarms[name]);
+        this.alarms = next;
+        return { changed };
+    }
+
+    /** Minutes exported since midnight */
+    get exportTimeToday() {
+        return this.exportMs / 60000;
+    }
+
+    /** kWh exported since midnight */
+    get exportEnergyToday() {
+        return this.exportWh / 1000;
+    }
+
+    /** Time-weighted mean absolute deviation from basePowerOffset over the last hour (W) */
+    get avgDeviation() {
+        let sum = 0;
+        let time = 0;
+        for (const s of this.window) {
+            sum += s.deviation * s.dt;
+            time += s.dt;
+        }
+        return time > 0 ? sum / time : 0;
+    }
+
+    /** Setpoint changes within the last hour */
+    get setpointChangesPerHour() {
+        return this.window.reduce((sum, s) => sum + s.changes, 0);
+    }
+}
+
+module.exports = { QualityMonitor, ALARMS };
@@ -1,6 +1,14 @@
 'use strict';
 
-const { StateManager, AverageCalculator } = require('./state-manager');
+const { StateManager, AverageCalculator, RollingWindow } = require('./state-manager');
+const { PidController } = require('./pid-controller');
+const { Schedule } = require('./schedule');
+const { PriceControl, parseForecast } = require('./price-control');
+const { SocPlanner, parsePvForecast } = require('./soc-planner');
+const { ExcessConsumers } = require('./excess-consumers');
+const { EnergyCounter, PERIODS, ENERGY_STATES, energyStateName } = require('./energy-counter');
+const { QualityMonitor, ALARMS } = require('./quality-monitor');
+const { MeterInput } = require('./meter-input');
 
 /**
  * Regulation – generic inverter power regulation loop.
@@ -26,18 +34,55 @@ class Regulation {
         /** Per-inverter runtime state */
         this.invState = {};
 
-        /** Excess charge runtime */
-        this.excessChargeWasActive = false;
-        this.ueberschussTimer = 0;
-
         /** Global regulation state (may be overridden by regulation.enabled state) */
         this.regulationEnabled = !!(this.cfg.regulation && this.cfg.regulation.enabled);
 
+        /** Dry-run: run the full loop but only publish proposed setpoints (regulation.dryRun state) */
+        this.dryRun = !!(this.cfg.regulation && this.cfg.regulation.dryRun);
+
+        /** Output decisions of the current cycle, published to regulation.decisions */
+        this.decisions = [];
+
+        /** Inputs and per-inverter branches of the current cycle, published to regulation.trace */
+        this.trace = null;
+        /** Last cycles for the trace file (regulation.traceFile) */
+        this.traceBuffer = [];
+        this.traceCycles = 0;
+        this.traceFileReady = false;
+
         /** RealPower calc debounce */
         this.realPowerWorkInProgress = false;
+        this.realPowerDebounceMs = 5000;
         this.lastRealPower = 0;
         this.hasLastRealPower = false;
 
+        /** kWh totals per day/month/year, published to energy.* at most once a minute */
+        this.energy = new EnergyCounter();
+        this.energyRestored = false;
+        this.energyPublishTs = 0;
+
+        /** Sign/unit normalisation and plausibility filter for the smart meter value */
+        this.meterInput = new MeterInput(this.cfg.regulation);
+        this.meterRejectedPublished = 0;
+        /** Secondary meters, used in order while the primary is stale (regulation.meterFallbacks) */
+        this.fallbackMeters = MeterInput.fallbacks(this.cfg.regulation);
+        /** Meter in use: 'primary', state ID of a fallback meter or 'fixed' (smartmeterFallbackPower) */
+        this.meterSource = '';
+
+        /** Regulation quality and alarms, published to quality.* */
+        this.quality = new QualityMonitor(this.cfg.regulation);
+        this.qualityRestored = false;
+        /** Last setpoint per inverter, so periodic resends do not count as changes */
+        this.qualitySetpoints = {};
+        /** Smart meter reading of the current cycle: { grid, ageMs, offset } */
+        this.meterSample = null;
+
+        /** Battery reserve override (regulation.reserveOverrideStateId) */
+        this.reserveReleased = false;
+
+        /** Remaining total feed-in of the current cycle (regulation.maxTotalFeedIn) */
+        this.feedInBudget = Infinity;
+
         /** cutoff carry-over between inverters in balance mode */
         this.cutoff = 0;
         this.batBedarf = 0;
@@ -45,6 +90,44 @@ class Regulation {
         /** History logging of realPower is set up once */
         this.historySetupDone = false;
 
+        const reg = this.cfg.regulation || {};
+
+        /** In-process realPower samples for the lowestValue window */
+        this.realPowerWindow = new RollingWindow((Number(reg.minValueMin) || 2) * 60 * 1000);
+
+        /** PID controller for multiPsMode 2 */
+        this.pid = new PidController({ kp: reg.pidKp, ki: reg.pidKi, kd: reg.pidKd });
+        /** multiPsMode of the last cycle – a change restarts the PID controller */
+        this.pidMode = null;
+
+        /**
+         * Distribution strategies, selected by regulation.multiPsMode.
+         * Each strategy receives the per-cycle context built in run().
+         */
+        this.strategies = {
+            0: ctx => this._distributeBalance(ctx.NewValue, ctx.gapSumme, ctx.totalPSPV, ctx.PVfaktor, ctx.Batfaktor, ctx.lastCut),
+            1: ctx => this._distributeSerial(ctx.NewValue, ctx.gapSumme, ctx.reg.serialReverse || false),
+            2: ctx => this._distributePid(ctx.gridPower, ctx.reg)
+        };
+
+        /** Time-of-day profiles (regulation.schedules) and the inverter config they produce */
+        this.schedule = new Schedule(reg.schedules);
+        this.activeSchedule = null;
+        this.inverters = null;
+
+        /** Dynamic tariff: hold battery energy outside the expensive hours */
+        this.priceControl = new PriceControl(this.cfg.priceControl);
+        this.priceHold = null;
+
+        /** PV forecast: nightly target SOC curve */
+        this.socPlanner = new SocPlanner(this.cfg.socPlanner);
+        this.socPlanActive = null;
+        this.socPlanWarned = false;
+        this.batCapacityWarned = false;
+
+        /** Prioritised surplus consumers (excessConsumers + legacy excessCharge / storageSink) */
+        this.consumers = new ExcessConsumers(this, this.cfg);
+
         this._initInverterState();
     }
 
@@ -56,6 +139,8 @@ class Regulation {
                 FullPower: false,
                 zusatzpower: 0,
                 TempMaxPower: inv.maxPower,
+                maxPower: inv.maxPower,
+                lowBatLimit: inv.lowBatLimit,
                 TempPrioOff: false,
                 GapArray: [],
                 GAPdurchschnitt: 0,
@@ -68,6 +153,17 @@ class Regulation {
                 invOutputWatts: 0,
                 toBatPower: 0,
                 regulieren: true,
+                capPower: null,
+                capReason: '',
+                caps: [],
+                wasRegulated: false,
+                outputTs: 0,
+                fault: '',
+                faultCount: 0,
+                faultSince: 0,
+                faultPublished: null,
+                reserveActive: false,
+                reservePublished: null,
                 name: `[${inv.id}]`
             };
         }
@@ -76,47 +172,99 @@ class Regulation {
     // ──────────────────────────────────────────────────────────── main run
 
     async run() {
+        const wasEnabled = this.regulationEnabled;
         try {
             const enabledState = await this.adapter.getStateAsync('regulation.enabled');
             this.regulationEnabled = enabledState ? !!enabledState.val : this.regulationEnabled;
+            const dryRunState = await this.adapter.getStateAsync('regulation.dryRun');
+            this.dryRun = dryRunState ? !!dryRunState.val : this.dryRun;
         } catch (_) {
             // keep last known state
         }
+        if (this.regulationEnabled && !wasEnabled) this.pid.reset();
 
-        const reg = this.cfg.regulation;
+        this.decisions = [];
+        this.meterSample = null;
+        this.trace = { ts: Date.now(), dryRun: this.dryRun, inputs: {}, inverters: {} };
+        try {
+            await this._runCycle();
+        } finally {
+            if (this.regulationEnabled) {
+                await this.adapter.setStateAsync('regulation.decisions', JSON.stringify({
+                    ts: Date.now(),
+                    dryRun: this.dryRun,
+                    decisions: this.decisions
+                }), true);
+                await this._publishTrace();
+                await this._monitorQuality();
+            }
+        }
+    }
+
+    async _runCycle() {
         if (!this.regulationEnabled) return;
-        if (!reg || !reg.smartmeterStateId) return;
+        if (!this.cfg.regulation || !MeterInput.stateIds(this.cfg.regulation).length) return;
+        const reg = await this._applySchedule(this.cfg.regulation);
 
         const BAT_MAX_OFFSET = reg.zusatzpowerOffset || 10;
         const ZUSATZPOWER_INCREMENT = 20;
         const GAP_MESSUNGEN = 3;
 
         // ── Step 1: Smart meter reading
-        let smartmeterState;
-        try {
-            smartmeterState = await this.adapter.getForeignStateAsync(reg.smartmeterStateId);
-        } catch (e) {
-            smartmeterState = null;
+        const meter = await this._readGridPower();
+        if (!meter) {
+            // Counter mode: no power value before the second reading
+            if (this.meterInput.pending) return;
+            this.meterSample = { grid: 0, ageMs: Infinity, offset: reg.basePowerOffset || 30 };
+            return;
         }
-        if (!smartmeterState) return;
+        this.meterSample = {
+            grid: meter.power || 0,
+            ageMs: meter.power === null ? Infinity : meter.ageMs,
+            offset: reg.basePowerOffset || 30
+        };
+        await this._publishMeterSource(meter.source);
 
-        const timeoutMs = (reg.smartmeterTimeoutMin || 4) * 60 * 1000;
-        let gridPower = Number(smartmeterState.val) || 0;
-        if (Date.now() - smartmeterState.ts > timeoutMs) {
-            this.adapter.log.warn(`Smartmeter data too old (${((Date.now() - smartmeterState.ts) / 60000).toFixed(1)} min). Using fallback ${reg.smartmeterFallbackPower}W.`);
+        const timeoutMs = meter.timeoutMs;
+        let gridPower = meter.power;
+        if (meter.ageMs > timeoutMs) {
+            this.adapter.log.warn(`Smartmeter data too old (${(meter.ageMs / 60000).toFixed(1)} min). Using fallback ${reg.smartmeterFallbackPower}W.`);
+            await this._notify('smartmeterStale', '', `Smartmeter data too old (${(meter.ageMs / 60000).toFixed(1)} min), using fallback ${reg.smartmeterFallbackPower || 150}W.`);
+            gridPower = reg.smartmeterFallbackPower || 150;
+        } else if (meter.power === null) {
+            const why = meter.rejected === 'stuck' ? `unchanged for more than ${reg.meterStuckMin} min` : 'not numeric';
+            this.adapter.log.warn(`Smartmeter value ${why}. Using fallback ${reg.smartmeterFallbackPower}W.`);
+            await this._notify('smartmeterStale', '', `Smartmeter value ${why}, using fallback ${reg.smartmeterFallbackPower || 150}W.`);
             gridPower = reg.smartmeterFallbackPower || 150;
         }
         await this.adapter.setStateAsync('regulation.gridPower', Math.round(gridPower), true);
 
+        // ── Step 1b: Dynamic electricity price
+        const priceHold = await this._evaluatePrice();
+
+        // ── Step 1c: PV forecast – target SOC curve for the night
+        const socTargets = await this._evaluateSocPlan();
+
+        // Battery reserve may be used during a grid outage / on request
+        const reserveReleased = await this._isReserveReleased(reg);
+
+        // ── Step 1d: Total feed-in budget (maxTotalFeedIn minus additional feed-in sources)
+        const additional = await this._computeAdditionalPower(reg);
+        const maxTotalFeedIn = Number(reg.maxTotalFeedIn) || 0;
+        this.feedInBudget = maxTotalFeedIn > 0 ? Math.max(0, maxTotalFeedIn - additional.feedIn) : Infinity;
+
         // ── Step 2: Per-inverter pre-processing (special cases)
         let totalPSPV = 0;
         let psBatSumme = 0;
         let psCounter = 0;
 
-        for (const inv of (this.cfg.inverters || [])) {
+        for (const inv of this._inverters()) {
             if (!inv.regulation) continue;
             const state = this.invState[inv.id];
             state.regulieren = true;
+            state.capPower = null;
+            state.capReason = '';
+            state.caps = [];
 
             // Read current values
             state.invOutputWatts  = await this._readInvOutputWatts(inv);
@@ -130,6 +278,14 @@ class Regulation {
             await this.adapter.setStateAsync(`inverters.${inv.id}.batterySOC`, Math.round(state.batstate), true);
             await this.adapter.setStateAsync(`inverters.${inv.id}.pvPower`, Math.round(state.sumPV), true);
 
+            this.trace.inverters[inv.id] = {
+                soc: state.batstate,
+                pv: Math.round(state.sumPV),
+                output: Math.round(state.invOutputWatts),
+                toBat: Math.round(state.toBatPower),
+                branches: []
+            };
+
             // LeiststungsGap (compensation for inverter reaction delay)
             if (state.OldNewValue === -1) {
                 state.LeiststungsGap = 0;
@@ -137,15 +293,25 @@ class Regulation {
                 state.LeiststungsGap = Math.floor((state.OldNewValue + state.dynamicWatts) - state.invOutputWatts);
             }
 
+            this.trace.inverters[inv.id].gap = state.LeiststungsGap;
+
+            // Setpoint-following fault detection
+            await this._detectFault(inv, state, reg);
+
             // Case: no battery attached
             if (!inv.hasBat) {
-                if (!state.FullPower) {
+                const fullPower = this._budgetFor(inv.maxPower);
+                if (!state.FullPower || state.OldNewValue !== fullPower) {
+                    if (!state.FullPower) {
+                        this.adapter.log.info(`Inverter ${state.name}: No battery configured. Feed-in set to max (${fullPower}W).`);
+                    }
                     state.FullPower = true;
-                    await this._setOutput(inv, inv.maxPower);
-                    state.OldNewValue = inv.maxPower;
-                    this.adapter.log.info(`Inverter ${state.name}: No battery configured. Feed-in set to max (${inv.maxPower}W).`);
+                    await this._setOutput(inv, fullPower, 'no battery → max feed-in');
+                    state.OldNewValue = fullPower;
                 }
                 state.regulieren = false;
+                this._traceBranch(inv, 'no battery → max feed-in');
+                this._useBudget(state.OldNewValue);
                 continue;
             }
 
@@ -159,35 +325,45 @@ class Regulation {
                 if (inv.battOnSwitchPrio) {
                     // Switch to battery priority mode
                     if (!PrioMode && this.batBedarf <= inv.prioOffOnDemand && PrioModeTS < (Date.now() + (1000 * 60))) {
-                        await this._setOutput(inv, inv.maxPower);
-                        await this._setPrio(inv, '1');
-                        state.OldNewValue = inv.maxPower;
+                        const fullPower = this._budgetFor(inv.maxPower);
+                        await this._setOutput(inv, fullPower, 'battery full → priority mode');
+                        await this._setPrio(inv, '1', 'battery full');
+                        state.OldNewValue = fullPower;
                         this.adapter.log.info(`Inverter ${state.name}: Battery at ${inv.battPozOn}%. Switching to battery priority mode.`);
+                        await this._notify('batteryFull', inv.id, `${state.name}: battery at ${inv.battPozOn}% → priority mode.`);
                         state.regulieren = false;
                         state.TempPrioOff = true;
+                        this._traceBranch(inv, 'battery full → priority mode on');
                     } else if (PrioMode) {
                         if (this.batBedarf > inv.prioOffOnDemand && inv.prioOffOnDemand !== 0) {
                             if (PrioModeTS < (Date.now() + (1000 * 60))) {
                                 this.adapter.log.info(`Inverter ${state.name}: High demand (${this.batBedarf}W). Temporarily deactivating priority mode.`);
-                                await this._setPrio(inv, '0');
+                                await this._setPrio(inv, '0', `high demand (${this.batBedarf}W)`);
                                 state.regulieren = true;
+                                this._traceBranch(inv, `battery full, high demand ${this.batBedarf}W → priority mode off`);
                             } else {
                                 state.regulieren = false;
+                                this._traceBranch(inv, 'battery full → priority mode (switch pending)');
                             }
                         } else {
                             state.regulieren = false;
+                            this._traceBranch(inv, 'battery full → priority mode');
                         }
                     }
                 } else {
                     // No priority mode – just set to full power
                     state.TempPrioOff = false;
-                    if (!state.FullPower) {
+                    const fullPower = this._budgetFor(inv.maxPower);
+                    if (!state.FullPower || state.OldNewValue !== fullPower) {
+                        if (!state.FullPower) {
+                            this.adapter.log.info(`Inverter ${state.name}: Battery at ${inv.battPozOn}%. Feed-in set to maximum.`);
+                        }
                         state.FullPower = true;
-                        await this._setOutput(inv, inv.maxPower);
-                        state.OldNewValue = inv.maxPower;
-                        this.adapter.log.info(`Inverter ${state.name}: Battery at ${inv.battPozOn}%. Feed-in set to maximum.`);
+                        await this._setOutput(inv, fullPower, 'battery full → max feed-in');
+                        state.OldNewValue = fullPower;
                     }
                     state.regulieren = false;
+                    this._traceBranch(inv, 'battery full → max feed-in');
                 }
 
             // Case: battery ≤ battPozOff (battery discharged enough to resume)
@@ -195,7 +371,7 @@ class Regulation {
                 state.TempPrioOff = false;
                 if (inv.battOnSwitchPrio && PrioMode) {
                     this.adapter.log.info(`Inverter ${state.name}: Battery at ${inv.battPozOff}%. Deactivating priority mode.`);
-                    await this._setPrio(inv, '0');
+                    await this._setPrio(inv, '0', `battery at ${inv.battPozOff}%`);
                 }
                 if (state.FullPower) {
                     state.FullPower = false;
@@ -210,6 +386,7 @@ class Regulation {
                     this.adapter.log.info(`Inverter ${state.name}: Battery below ${inv.lowBatLimitPozOn}% (${state.batstate}%). Limiting feed-in to ${inv.lowBatLimit}W.`);
                 }
                 state.TempMaxPower = inv.lowBatLimit;
+                this._traceBranch(inv, `low battery → limit ${inv.lowBatLimit}W`);
             } else if (state.batstate >= inv.lowBatLimitPozOff && state.regulieren) {
                 if (state.TempMaxPower === inv.lowBatLimit) {
                     this.adapter.log.info(`Inverter ${state.name}: Battery back above ${inv.lowBatLimitPozOff}%. Restoring max feed-in to ${inv.maxPower}W.`);
@@ -217,6 +394,20 @@ class Regulation {
                 }
             }
 
+            // Price hold – battery energy is kept for the expensive hours
+            if (priceHold && state.regulieren) {
+                this._capToPv(state, 'price hold');
+            }
+
+            // SOC plan – do not discharge below the planned nightly curve
+            const targetSoc = socTargets ? socTargets[inv.id] : undefined;
+            if (targetSoc !== undefined && state.batstate <= targetSoc && state.regulieren) {
+                this._capToPv(state, `SOC plan ${targetSoc}%`);
+            }
+
+            // Battery reserve – no discharge below the reserve SOC
+            await this._checkReserve(inv, state, reg, reserveReleased);
+
             // Zusatzpower – extra feed-in when battery is charging at maximum
             if (state.regulieren) {
                 const maxChargePower = (inv.maxPower - BAT_MAX_OFFSET) * -1;
@@ -226,10 +417,12 @@ class Regulation {
                         if (state.zusatzpower === 0) state.zusatzpower = state.invOutputWatts;
                         state.zusatzpower += ZUSATZPOWER_INCREMENT;
                         this.adapter.log.debug(`Inverter ${state.name}: Max charge rate. Zusatzpower → ${state.zusatzpower}W`);
-                        await this._setOutput(inv, state.zusatzpower);
-                        state.OldNewValue = state.zusatzpower;
+                        const zusatz = this._budgetFor(state.zusatzpower);
+                        await this._setOutput(inv, zusatz, 'zusatzpower (max charge rate)');
+                        state.OldNewValue = zusatz;
                     }
                     state.regulieren = false;
+                    this._traceBranch(inv, `zusatzpower ${state.zusatzpower}W (max charge rate)`);
                 } else if (state.toBatPower >= ((inv.maxPower - 200) * -1) && state.zusatzpower > 0) {
                     state.zusatzpower = 0;
                     this.adapter.log.debug(`Inverter ${state.name}: Zusatzpower immediately off.`);
@@ -241,28 +434,39 @@ class Regulation {
                 } else {
                     state.zusatzpower -= ZUSATZPOWER_INCREMENT;
                     if (state.zusatzpower > 0) {
-                        await this._setOutput(inv, state.zusatzpower);
-                        state.OldNewValue = state.zusatzpower;
+                        const zusatz = this._budgetFor(state.zusatzpower);
+                        await this._setOutput(inv, zusatz, 'zusatzpower ramp-down');
+                        state.OldNewValue = zusatz;
                         state.regulieren = false;
+                        this._traceBranch(inv, `zusatzpower ramp-down ${state.zusatzpower}W`);
                     } else {
                         state.zusatzpower = 0;
                         state.regulieren = true;
                     }
                 }
             }
+
+            // Faulted inverter: limit to what it actually delivers, the rest goes to the healthy ones
+            if (state.fault && state.regulieren) {
+                this._cap(state, state.fault === 'offline' ? 0 : state.invOutputWatts, `fault: ${state.fault}`);
+            }
+            state.wasRegulated = state.regulieren;
+            if (state.regulieren) this._traceBranch(inv, 'regulated');
+
+            // Fixed outputs (full power, priority, zusatzpower) take their share of the total budget first
+            if (!state.regulieren) this._useBudget(state.OldNewValue);
         }
 
         // ── Step 3: Smartmeter fallback state
-        const smAge = Date.now() - smartmeterState.ts;
-        if (smAge > timeoutMs) {
+        if (meter.ageMs > timeoutMs || meter.power === null) {
             await this.adapter.setStateAsync('regulation.realPower', reg.smartmeterFallbackPower || 150, true);
+            this.realPowerWindow.add(reg.smartmeterFallbackPower || 150);
         }
 
-        // ── Step 4: Get lowestValue from history
-        const realPowerId = `${this.adapter.namespace}.regulation.realPower`;
+        // ── Step 4: Get lowestValue from the rolling window
         let lowestValue;
         try {
-            lowestValue = await this._getLowestValue(realPowerId, reg.minValueMin || 2, reg);
+            lowestValue = await this._getLowestValue(reg.minValueMin || 2, reg);
         } catch (e) {
             this.adapter.log.warn('Regulation: getLowestValue failed – using current realPower. ' + e.message);
             const rp = await this.adapter.getStateAsync('regulation.realPower');
@@ -276,7 +480,7 @@ class Regulation {
 
         // Non-regulated inverter output (PS only, not in regulation)
         let otherPS = 0;
-        for (const inv of (this.cfg.inverters || [])) {
+        for (const inv of this._inverters()) {
             if (!inv.regulation) continue;
             const state = this.invState[inv.id];
             if (!state.regulieren) {
@@ -285,7 +489,6 @@ class Regulation {
         }
 
         // AdditionalPower sum
-        const additional = await this._computeAdditionalPower(reg);
         otherPS += additional.feedIn;
         NewValue -= otherPS;
 
@@ -293,23 +496,29 @@ class Regulation {
         let gapSumme = 0;
         totalPSPV = 0;
 
-        for (const inv of (this.cfg.inverters || [])) {
+        for (const inv of this._inverters()) {
             if (!inv.regulation) continue;
             const state = this.invState[inv.id];
             if (!state.regulieren) continue;
 
-            const neueMessung = state.LeiststungsGap;
-            state.GapArray.push(neueMessung);
-            if (state.GapArray.length > GAP_MESSUNGEN) state.GapArray.shift();
-            if (state.GapArray.length === GAP_MESSUNGEN) {
-                const sum = state.GapArray.reduce((a, b) => a + b, 0);
-                state.GAPdurchschnitt = Math.floor(sum / GAP_MESSUNGEN);
+            if (state.fault) {
+                // A faulted inverter's gap is not a reaction delay – keep it out of the compensation
+                state.GapArray = [];
+                state.GAPdurchschnitt = 0;
+            } else {
+                const neueMessung = state.LeiststungsGap;
+                state.GapArray.push(neueMessung);
+                if (state.GapArray.length > GAP_MESSUNGEN) state.GapArray.shift();
+                if (state.GapArray.length === GAP_MESSUNGEN) {
+                    const sum = state.GapArray.reduce((a, b) => a + b, 0);
+                    state.GAPdurchschnitt = Math.floor(sum / GAP_MESSUNGEN);
+                }
             }
             gapSumme += state.GAPdurchschnitt;
             totalPSPV += state.sumPV + 10; // +10W per inverter bias
 
             psCounter++;
-            psBatSumme += state.batstate;
+            psBatSumme += this._batShare(inv, state);
         }
 
         if (gapSumme > NewValue) gapSumme = NewValue;
@@ -337,36 +546,378 @@ class Regulation {
         await this.adapter.setStateAsync('regulation.excessPower', Math.round(ueberschuss), true);
         await this.adapter.setStateAsync('regulation.totalPV', Math.round(totalPvAllSources), true);
 
+        Object.assign(this.trace.inputs, {
+            grid: Math.round(gridPower),
+            meterSource: meter.source,
+            lowestValue,
+            basePowerOffset: reg.basePowerOffset || 30,
+            otherPS: Math.round(otherPS),
+            additionalFeedIn: Math.round(additional.feedIn),
+            additionalPV: Math.round(additional.pv),
+            newValue: Math.round(NewValue),
+            gapSumme,
+            totalPSPV,
+            batBedarf: this.batBedarf,
+            pvFaktor: Number(PVfaktor.toFixed(3)),
+            batFaktor: Number(Batfaktor.toFixed(3)),
+            excess: Math.round(ueberschuss),
+            feedInBudget: Number.isFinite(this.feedInBudget) ? Math.round(this.feedInBudget) : null,
+            priceHold,
+            reserveReleased,
+            schedule: this.activeSchedule || '',
+            mode: Number(reg.multiPsMode) || 0
+        });
+        for (const inv of this._inverters()) {
+            const entry = this.trace.inverters[inv.id];
+            if (entry) entry.gapAvg = this.invState[inv.id].GAPdurchschnitt;
+        }
+
         if (this.cfg.advanced && this.cfg.advanced.mlog) {
             this.adapter.log.info(`Regulation: lowestValue=${lowestValue} NewValue=${NewValue.toFixed(0)} totalPSPV=${totalPSPV} additionalPV=${Math.round(additional.pv)} totalPV=${Math.round(totalPvAllSources)} BatBedarf=${this.batBedarf} PVfaktor=${PVfaktor.toFixed(2)} Batfaktor=${Batfaktor.toFixed(2)} ueberschuss=${ueberschuss.toFixed(0)}`);
         }
 
         // ── Step 7: Distribute power
-        if (reg.multiPsMode === 1) {
-            await this._distributeSerial(NewValue, gapSumme, reg.serialReverse || false);
+        const mode = Number(reg.multiPsMode) || 0;
+        if (mode !== this.pidMode) {
+            // No stale integral and time step from an earlier PID phase
+            this.pid.reset();
+            this.pidMode = mode;
+        }
+        const strategy = this.strategies[mode] || this.strategies[0];
+        await strategy({ reg, gridPower, NewValue, gapSumme, totalPSPV, PVfaktor, Batfaktor, lastCut });
+
+        // ── Step 8: Excess consumers
+        if (this.consumers.enabled) {
+            await this.consumers.run(ueberschuss);
+        }
+    }
+
+    // ──────────────────────────────────────────────────────────── schedules
+
+    /**
+     * Inverter config effective for the current cycle (schedule overrides applied).
+     * @returns {object[]}
+     */
+    _inverters() {
+        return this.inverters || this.cfg.inverters || [];
+    }
+
+    /**
+     * Resolve the active schedule rows, publish them to regulation.activeSchedule
+     * and build the effective regulation and inverter config for this cycle.
+     * @param {object} baseReg  Configured regulation settings
+     * @returns {Promise<object>} Effective regulation settings
+     */
+    async _applySchedule(baseReg) {
+        const active = this.schedule.getActive(new Date(Date.now()));
+        const names = active.map(row => row.name || `${row.from}-${row.to}`).join(', ');
+        if (names !== this.activeSchedule) {
+            this.adapter.log.info(names ? `Regulation: schedule active: ${names}` : 'Regulation: no schedule active – using configured values.');
+            this.activeSchedule = names;
+            await this.adapter.setStateAsync('regulation.activeSchedule', names, true);
+        }
+
+        this.inverters = (this.cfg.inverters || []).map(inv => {
+            const effective = this.schedule.applyInverter(inv, active);
+            const state = this.invState[inv.id];
+            if (state && (state.maxPower !== effective.maxPower || state.lowBatLimit !== effective.lowBatLimit)) {
+                // Follow the new limits; FullPower is re-sent with the new maximum
+                state.TempMaxPower = state.TempMaxPower === state.lowBatLimit ? effective.lowBatLimit : effective.maxPower;
+                if (state.maxPower !== effective.maxPower) state.FullPower = false;
+                state.maxPower = effective.maxPower;
+                state.lowBatLimit = effective.lowBatLimit;
+            }
+            return effective;
+        });
+
+        return this.schedule.applyRegulation(baseReg, active);
+    }
+
+    // ──────────────────────────────────────────────────────────── feed-in caps
+
+    /**
+     * Limit the inverter's feed-in for this cycle. The lowest cap of the cycle wins.
+     */
+    _cap(state, watts, reason) {
+        const cap = Math.max(0, Math.floor(watts));
+        state.caps.push(`${reason} → ${cap}W`);
+        if (state.capPower === null || cap < state.capPower) {
+            state.capPower = cap;
+            state.capReason = reason;
+        }
+    }
+
+    /**
+     * Limit the inverter to PV pass-through for this cycle (battery is not discharged).
+     */
+    _capToPv(state, reason) {
+        this._cap(state, state.sumPV, reason);
+    }
+
+    /**
+     * Max feed-in for this cycle: TempMaxPower reduced by any per-cycle cap.
+     */
+    _maxPower(state) {
+        return state.capPower === null ? state.TempMaxPower : Math.min(state.TempMaxPower, state.capPower);
+    }
+
+    /**
+     * Limit a fixed output to the remaining total feed-in budget.
+     */
+    _budgetFor(watts) {
+        return Math.max(0, Math.floor(Math.min(watts, this.feedInBudget)));
+    }
+
+    /**
+     * Book an inverter output against the total feed-in budget of this cycle.
+     */
+    _useBudget(watts) {
+        if (this.feedInBudget === Infinity) return;
+        this.feedInBudget = Math.max(0, this.feedInBudget - Math.max(0, Number(watts) || 0));
+    }
+
+    /**
+     * Append the cap reason to a decision reason if the setpoint is held by the cap.
+     */
+    _capNote(reason, state, setpower) {
+        if (state.capPower === null || state.capPower >= state.TempMaxPower || setpower < state.capPower) return reason;
+        return `${reason}, capped to ${state.capPower}W (${state.capReason})`;
+    }
+
+    /**
+     * Price slots of the forecast states (priceControl.forecastStateId, comma-separated).
+     * Also used by the excess consumers for their cheapest grid window.
+     * @returns {Promise<Array<{start: number, end: number, price: number}>>}
+     */
+    async _readPriceSlots() {
+        const pc = this.cfg.priceControl || {};
+        let slots = [];
+        for (const id of String(pc.forecastStateId || '').split(',').map(x => x.trim()).filter(Boolean)) {
+            try {
+                const s = await this.adapter.getForeignStateAsync(id);
+                if (s) slots = slots.concat(parseForecast(s.val));
+            } catch (_) {
+                // forecast not available
+            }
+        }
+        return slots.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Read price and forecast states and decide whether battery discharge is held.
+     * Publishes regulation.priceHold / price / priceReason.
+     * @returns {Promise<boolean>} true if battery-backed inverters are limited to PV
+     */
+    async _evaluatePrice() {
+        if (!this.priceControl.enabled) return false;
+        const pc = this.cfg.priceControl;
+
+        let currentPrice = null;
+        if (pc.priceStateId) {
+            try {
+                const s = await this.adapter.getForeignStateAsync(pc.priceStateId);
+                if (s && s.val !== null && s.val !== '' && Number.isFinite(Number(s.val))) currentPrice = Number(s.val);
+            } catch (_) {
+                // fall back to the forecast
+            }
+        }
+
+        const slots = await this._readPriceSlots();
+        const result = this.priceControl.evaluate(currentPrice, slots);
+        if (result.hold !== this.priceHold) {
+            this.adapter.log.info(`Regulation: price ${result.hold ? 'hold – battery limited to PV' : 'release – battery may discharge'} (${result.reason}).`);
+            this.priceHold = result.hold;
+        }
+        await this.adapter.setStateAsync('regulation.priceHold', result.hold, true);
+        await this.adapter.setStateAsync('regulation.price', result.price, true);
+        await this.adapter.setStateAsync('regulation.priceReason', result.reason, true);
+        return result.hold;
+    }
+
+    /**
+     * Update the nightly SOC plan from the PV forecast.
+     * Publishes regulation.plannedMorningSoc / expectedSurplus and inverters.<id>.targetSoc.
+     * @returns {Promise<Object<string, number>|null>} Target SOC per inverter, null outside the night
+     */
+    async _evaluateSocPlan() {
+        if (!this.socPlanner.enabled) return null;
+        const sp = this.cfg.socPlanner;
+
+        const batteries = [];
+        for (const inv of this._inverters()) {
+            if (!inv.regulation || !inv.hasBat) continue;
+            batteries.push({ id: inv.id, soc: await this._readBatState(inv), capacityWh: Number(inv.batCapacityWh) || 0 });
+        }
+        if (!batteries.some(b => b.capacityWh > 0)) {
+            if (!this.socPlanWarned) {
+                this.adapter.log.warn('SOC planner: no battery capacity (Wh) configured for the inverters – planner inactive.');
+                this.socPlanWarned = true;
+            }
+            return null;
+        }
+
+        let slots = [];
+        for (const id of String(sp.forecastStateId || '').split(',').map(x => x.trim()).filter(Boolean)) {
+            try {
+                const s = await this.adapter.getForeignStateAsync(id);
+                if (s) slots = slots.concat(parsePvForecast(s.val, sp.forecastUnit || 'kWh'));
+            } catch (_) {
+                // forecast not available
+            }
+        }
+
+        const plan = this.socPlanner.update(batteries, slots);
+        if (!!plan !== this.socPlanActive) {
+            this.adapter.log.info(plan
+                ? `SOC planner: night plan active – morning target ${plan.morningSoc}% (expected surplus ${plan.surplusWh}Wh).`
+                : 'SOC planner: day – no SOC plan.');
+            this.socPlanActive = !!plan;
+        }
+
+        await this.adapter.setStateAsync('regulation.plannedMorningSoc', plan ? plan.morningSoc : null, true);
+        await this.adapter.setStateAsync('regulation.expectedSurplus', plan ? plan.surplusWh : null, true);
+        for (const b of batteries) {
+            await this.adapter.setStateAsync(`inverters.${b.id}.targetSoc`, plan ? plan.targets[b.id] : null, true);
+        }
+        return plan ? plan.targets : null;
+    }
+
+    // ──────────────────────────────────────────────────────────── battery reserve
+
+    /**
+     * true if the reserve override state (grid outage / use reserve) is set.
+     */
+    async _isReserveReleased(reg) {
+        if (!reg.reserveOverrideStateId) return false;
+        const s = await this.sm.getValAkt(reg.reserveOverrideStateId, 0);
+        const released = !!s.val && s.val !== '0' && s.val !== 'false';
+        if (released !== !!this.reserveReleased) {
+            this.adapter.log.info(`Regulation: battery reserve ${released ? 'released' : 'locked again'} (${reg.reserveOverrideStateId} = ${s.val}).`);
+        }
+        this.reserveReleased = released;
+        return released;
+    }
+
+    /**
+     * Keep the battery reserve: below the reserve SOC the inverter only passes PV through.
+     * The reserve is released again 2 % above the reserve SOC. Per-inverter reserveSoc
+     * overrides regulation.reserveSoc: empty = inherit, 0 = no reserve.
+     */
+    async _checkReserve(inv, state, reg, released) {
+        const own = inv.reserveSoc;
+        const inherit = own === undefined || own === null || own === '';
+        const reserveSoc = (inherit ? Number(reg.reserveSoc) : Number(own)) || 0;
+        if (reserveSoc <= 0 || !inv.hasBat) {
+            state.reserveActive = false;
+        } else if (state.batstate <= reserveSoc && !state.reserveActive) {
+            state.reserveActive = true;
+            this.adapter.log.info(`Inverter ${state.name}: Battery at reserve (${state.batstate}% ≤ ${reserveSoc}%). Discharge stopped${released ? ' – reserve released by override state' : ''}.`);
+        } else if (state.batstate >= reserveSoc + 2 && state.reserveActive) {
+            state.reserveActive = false;
+            this.adapter.log.info(`Inverter ${state.name}: Battery above reserve (${state.batstate}%). Discharge allowed again.`);
+        }
+
+        if (state.reserveActive && !released && state.regulieren) {
+            this._capToPv(state, `reserve ${reserveSoc}%`);
+        }
+
+        const active = state.reserveActive && !released;
+        if (active !== state.reservePublished) {
+            await this.adapter.setStateAsync(`inverters.${inv.id}.reserveActive`, active, true);
+            state.reservePublished = active;
+        }
+    }
+
+    // ──────────────────────────────────────────────────────────── fault detection
+
+    /**
+     * Flag an inverter that does not follow its setpoint.
+     *
+     * The gap (setpoint − actual output) must exceed regulation.faultGapW for
+     * regulation.faultCycles cycles in a row. A configured faultStateId with a
+     * non-zero value flags the inverter immediately. After regulation.faultHoldMin
+     * the fault is cleared and the inverter gets its full setpoint again (retry).
+     * Result in inverters.<id>.fault: '', offline, noOutput, pvLimited, derated or fault.
+     */
+    async _detectFault(inv, state, reg) {
+        const gapLimit = Number(reg.faultGapW) || 50;
+        const cycles = Number(reg.faultCycles) || 4;
+        const holdMs = (Number(reg.faultHoldMin) || 5) * 60 * 1000;
+        const intervalMs = (Number(reg.intervalSec) || 15) * 1000;
+
+        if (state.faultPublished === null) await this._publishFault(inv, state);
+
+        if (inv.faultStateId) {
+            const s = await this.sm.getValAkt(inv.faultStateId, 0);
+            if (s.val && s.val !== '0' && s.val !== 'false') {
+                await this._setFault(inv, state, 'fault', `${inv.faultStateId} = ${s.val}`);
+                return;
+            }
+        }
+
+        if (state.fault) {
+            if (state.fault !== 'fault' && Date.now() - state.faultSince < holdMs) return;
+            this.adapter.log.info(`Inverter ${state.name}: Retrying after fault '${state.fault}'.`);
+            await this._setFault(inv, state, '', '');
+            return;
+        }
+
+        if (!state.wasRegulated || state.OldNewValue < 0 || state.LeiststungsGap <= gapLimit) {
+            state.faultCount = 0;
+            return;
+        }
+        if (++state.faultCount < cycles) return;
+
+        const commanded = state.OldNewValue + state.dynamicWatts;
+        const detail = `setpoint ${commanded}W, actual ${Math.round(state.invOutputWatts)}W`;
+        if (inv.outputStateId && Date.now() - state.outputTs > Math.max(5 * 60 * 1000, 4 * intervalMs)) {
+            await this._setFault(inv, state, 'offline', `${detail}, no output data for ${Math.round((Date.now() - state.outputTs) / 60000)} min`);
+        } else if (state.invOutputWatts < 10) {
+            await this._setFault(inv, state, 'noOutput', detail);
+        } else if (state.sumPV > 0 && Math.abs(state.invOutputWatts - state.sumPV) <= 20) {
+            await this._setFault(inv, state, 'pvLimited', `${detail}, PV ${Math.round(state.sumPV)}W`);
         } else {
-            await this._distributeBalance(NewValue, gapSumme, totalPSPV, PVfaktor, Batfaktor, lastCut);
+            await this._setFault(inv, state, 'derated', detail);
         }
+    }
 
-        // ── Step 8: ExcessCharge
-        if (this.cfg.excessCharge && this.cfg.excessCharge.enabled) {
-            await this._runExcessCharge(ueberschuss);
+    async _setFault(inv, state, fault, detail) {
+        if (fault && fault !== state.fault) {
+            this.adapter.log.warn(`Inverter ${state.name}: Not following setpoint (${fault}: ${detail}). Shifting power to the other inverters.`);
+            state.faultSince = Date.now();
         }
+        state.fault = fault;
+        state.faultCount = 0;
+        await this._publishFault(inv, state);
+    }
+
+    async _publishFault(inv, state) {
+        if (state.fault === state.faultPublished) return;
+        await this.adapter.setStateAsync(`inverters.${inv.id}.fault`, state.fault, true);
+        state.faultPublished = state.fault;
+    }
+
+    /**
+     * Distribution order with faulted inverters first (stable otherwise).
+     */
+    _faultedFirst(inverters) {
+        const faulted = inverters.filter(inv => this.invState[inv.id] && this.invState[inv.id].fault);
+        return faulted.length ? faulted.concat(inverters.filter(inv => !faulted.includes(inv))) : inverters;
     }
 
     // ──────────────────────────────────────────────────────────── distribution
 
     async _distributeSerial(NewValue, gapSumme, reverse) {
         let calcValue = NewValue;
-        const inverters = (this.cfg.inverters || []).filter(inv => inv.regulation);
-        const ordered = reverse ? [...inverters].reverse() : inverters;
+        const inverters = this._inverters().filter(inv => inv.regulation);
+        const ordered = this._faultedFirst(reverse ? [...inverters].reverse() : inverters);
 
         for (const inv of ordered) {
             const state = this.invState[inv.id];
             if (!state.regulieren) continue;
 
             let Setpower = calcValue;
-            const myMaxPower = state.TempMaxPower;
+            const myMaxPower = Math.min(this._maxPower(state), this.feedInBudget);
 
             if (state.GAPdurchschnitt < 20 && gapSumme > 0) {
                 Setpower += gapSumme;
@@ -376,32 +927,59 @@ class Regulation {
 
             Setpower = Math.floor(Setpower);
             if (state.OldNewValue !== Setpower) {
-                const dynset = Math.max(0, Math.floor((Setpower - state.dynamicWatts) * 10));
-                await this._setOutputRaw(inv, dynset);
+                const dynset = Math.max(0, Setpower - state.dynamicWatts);
+                await this._setOutput(inv, dynset, this._capNote('serial mode', state, Setpower));
             }
             state.OldNewValue = Setpower;
+            this._useBudget(Setpower);
             calcValue -= Setpower;
             if (calcValue <= 0) calcValue = 0;
         }
     }
 
+    /**
+     * Battery share of an inverter in balance mode: available energy (SOC × capacity) × weight.
+     * Without a capacity on every battery inverter the SOC percent is used as before.
+     */
+    _batShare(inv, state) {
+        const capacityWh = this._useBatCapacity() ? Number(inv.batCapacityWh) : 100;
+        const weight = inv.weight === undefined || inv.weight === '' || inv.weight === null ? 1 : Math.max(0, Number(inv.weight) || 0);
+        return state.batstate / 100 * capacityWh * weight;
+    }
+
+    /**
+     * Capacities are only comparable if every regulated battery inverter has one. A mixed
+     * configuration falls back to equal weights (SOC percent) and is logged once.
+     */
+    _useBatCapacity() {
+        const batteries = this._inverters().filter(inv => inv.regulation && inv.hasBat);
+        const withCapacity = batteries.filter(inv => Number(inv.batCapacityWh) > 0);
+        if (withCapacity.length && withCapacity.length < batteries.length && !this.batCapacityWarned) {
+            this.batCapacityWarned = true;
+            const missing = batteries.filter(inv => !(Number(inv.batCapacityWh) > 0)).map(inv => inv.name || inv.id);
+            this.adapter.log.warn(`Balance mode: battery capacity missing for ${missing.join(', ')} – using SOC percent for all inverters.`);
+        }
+        return withCapacity.length > 0 && withCapacity.length === batteries.length;
+    }
+
     async _distributeBalance(NewValue, gapSumme, totalPSPV, PVfaktor, Batfaktor, lastCut) {
         // Match original script: if BatBedarf is negligible and there was a cutoff, reset it
         if (this.batBedarf < 2 && lastCut > 0) {
             lastCut = 0;
         }
 
-        for (const inv of (this.cfg.inverters || [])) {
+        // Faulted inverters first, so their cutoff is passed on to the healthy ones
+        for (const inv of this._faultedFirst(this._inverters())) {
             if (!inv.regulation) continue;
             const state = this.invState[inv.id];
             if (!state.regulieren) continue;
 
-            let Setpower = (state.sumPV * PVfaktor) + (state.batstate * Batfaktor);
+            let Setpower = (state.sumPV * PVfaktor) + (this._batShare(inv, state) * Batfaktor);
             Setpower += lastCut;
             lastCut = 0; // only apply lastCut to the first regulated inverter (matches original script)
 
             if (Setpower > NewValue) Setpower = NewValue;
-            const myMaxPower = state.TempMaxPower;
+            const myMaxPower = Math.min(this._maxPower(state), this.feedInBudget);
 
             // Gap compensation
             if ((state.GAPdurchschnitt < 10 && gapSumme > 10) || state.gapWait > Date.now() - (1 * 60 * 1000)) {
@@ -428,168 +1006,151 @@ class Regulation {
             // Send only if changed or older than 60s
             if (state.OldNewValue !== Setpower || state.LastSetNewValue < (Date.now() - 60 * 1000)) {
                 state.LastSetNewValue = Date.now();
-                const dynset = Math.max(0, Math.floor((Setpower - state.dynamicWatts) * 10));
-                await this._setOutputRaw(inv, dynset);
-                this.adapter.log.debug(`Inverter ${state.name}: Balance mode → ${Math.floor(dynset / 10)}W`);
+                const dynset = Math.max(0, Setpower - state.dynamicWatts);
+                await this._setOutput(inv, dynset, this._capNote('balance mode', state, Setpower));
+                this.adapter.log.debug(`Inverter ${state.name}: Balance mode → ${Math.floor(dynset)}W`);
             }
             state.OldNewValue = Setpower;
+            this._useBudget(Setpower);
         }
     }
 
-    // ──────────────────────────────────────────────────────────── excess charge
+    /**
+     * PID strategy: track basePowerOffset on the current grid power and split the
+     * controller output across the regulated inverters by their max power.
+     */
+    async _distributePid(gridPower, reg) {
+        const inverters = this._inverters().filter(inv => inv.regulation && this.invState[inv.id].regulieren);
+        if (inverters.length === 0) {
+            this.pid.reset();
+            return;
+        }
 
-    async _runExcessCharge(ueberschuss) {
-        const ec = this.cfg.excessCharge;
-        if (!ec || !ec.powerStateId) return;
+        const maxTotal = inverters.reduce((sum, inv) => sum + Math.max(0, this._maxPower(this.invState[inv.id])), 0);
+        const maxFeedIn = Math.min(maxTotal, this.feedInBudget);
 
-        // Battery SOC check
-        let batSoc = 0;
-        if (ec.batSocStateId) {
-            const s = await this.sm.getValAkt(ec.batSocStateId, 60);
-            batSoc = Number(s.val);
+        // Bumpless start from the current feed-in of the regulated inverters
+        if (!this.pid.initialized) {
+            const currentTotal = inverters.reduce((sum, inv) => sum + this.invState[inv.id].invOutputWatts, 0);
+            this.pid.reset(Math.min(Math.max(currentTotal, 0), maxFeedIn));
         }
 
-        let ueberschussBedingung = true;
+        this.pid.setTunings(reg.pidKp, reg.pidKi, reg.pidKd);
+        const error = gridPower - (reg.basePowerOffset || 30);
+        const total = this.pid.update(error, 0, maxFeedIn);
+        await this.adapter.setStateAsync('regulation.pidOutput', Math.round(total), true);
 
-        if (ec.batSocStateId) {
-            if (this.excessChargeWasActive) {
-                if (batSoc >= Number(ec.batSocOff)) {
-                    this.adapter.log.info(`ExcessCharge: Battery at ${ec.batSocOff}%. Charging will stop soon.`);
-                    ueberschussBedingung = false;
-                }
-            } else {
-                if (batSoc >= Number(ec.batSocMax)) {
-                    ueberschussBedingung = false; // battery already full enough
-                }
-            }
-        }
+        for (const inv of inverters) {
+            const state = this.invState[inv.id];
+            const myMaxPower = this._maxPower(state);
+            const share = maxTotal > 0 ? Math.max(0, myMaxPower) / maxTotal : 0;
+            const Setpower = Math.floor(Math.min(total * share, myMaxPower));
 
-        if (ueberschussBedingung) {
-            let targetPower = Math.min(Number(ec.maxPower), Math.floor(ueberschuss));
-            let setExcessPower = targetPower + Number(ec.offsetPower || 0);
-            setExcessPower = setExcessPower - (setExcessPower % (ec.regulateSteps || 100));
-            if (setExcessPower < 0) setExcessPower = 0;
-
-            if (ueberschuss > Number(ec.startPower) && setExcessPower > 0) {
-                if (this.ueberschussTimer === 0) this.ueberschussTimer = Date.now();
-                if (Date.now() - this.ueberschussTimer > (ec.startDurationMin || 1) * 60 * 1000) {
-                    // Switch on (only if off long enough)
-                    if (ec.switchStateId) {
-                        const switched = await this.sm.setStateCon(
-                            ec.switchStateId,
-                            this._parseValue(ec.switchOnValue),
-                            false, true,
-                            60 * 60 * 1000,
-                            (ec.switchMinMin || 5) * 60 * 1000
-                        );
-                        if (switched) {
-                            this.excessChargeWasActive = true;
-                            this.adapter.log.info(`ExcessCharge: ON. Requested ${targetPower}W.`);
-                        }
-                    } else {
-                        this.excessChargeWasActive = true;
-                    }
-                }
-                // Set power level
-                await this.sm.setStateCon(
-                    ec.powerStateId,
-                    setExcessPower,
-                    false, true,
-                    60 * 60 * 1000,
-                    (ec.minRegulatePauseMin || 1) * 60 * 1000
-                );
-
-            } else if (ueberschuss <= Number(ec.stopPower)) {
-                this.ueberschussTimer = 0;
-                if (ec.switchStateId) {
-                    const switched = await this.sm.setStateCon(
-                        ec.switchStateId,
-                        this._parseValue(ec.switchOffValue),
-                        false, true,
-                        60 * 60 * 1000,
-                        (ec.switchMinMin || 5) * 60 * 1000
-                    );
-                    if (switched) {
-                        await this.adapter.setForeignStateAsync(ec.powerStateId, 0, false);
-                        this.adapter.log.info(`ExcessCharge: OFF (excess ${ueberschuss}W ≤ stopPower ${ec.stopPower}W).`);
-                    }
-                }
-            }
-        } else {
-            // Condition not met – turn off if it was active
-            if (this.excessChargeWasActive && ec.switchStateId) {
-                const switched = await this.sm.setStateCon(
-                    ec.switchStateId,
-                    this._parseValue(ec.switchOffValue),
-                    false, true,
-                    60 * 60 * 1000,
-                    (ec.switchMinMin || 5) * 60 * 1000
-                );
-                // Check if it is actually off now
-                const switchState = await this.adapter.getForeignStateAsync(ec.switchStateId);
-                if (switchState && switchState.val == this._parseValue(ec.switchOffValue)) {
-                    this.excessChargeWasActive = false;
-                }
+            if (state.OldNewValue !== Setpower || state.LastSetNewValue < (Date.now() - 60 * 1000)) {
+                state.LastSetNewValue = Date.now();
+                await this._setOutput(inv, Math.max(0, Setpower - state.dynamicWatts), this._capNote(`PID mode (error ${Math.round(error)}W)`, state, Setpower));
+                this.adapter.log.debug(`Inverter ${state.name}: PID mode → ${Setpower}W (error ${Math.round(error)}W)`);
             }
-            this.ueberschussTimer = 0;
+            state.OldNewValue = Setpower;
+            this._useBudget(Setpower);
         }
     }
 
     // ──────────────────────────────────────────────────────────── history
 
-    async _getLowestValue(stateId, minValueMin, reg) {
+    /**
+     * Evaluate the realPower window: minimum (minValueAg 0), average (1) or
+     * percentile (2). Uses the in-process rolling window, no history adapter needed.
+     */
+    async _getLowestValue(minValueMin, reg) {
         if (Number(minValueMin) === 0) {
             // Use real-time value
             const s = await this.adapter.getStateAsync('regulation.realPower');
             return s ? Math.floor(Number(s.val)) : 0;
         }
 
-        const historyTarget = `${reg.historyAdapter || 'history'}.${reg.historyInstance || '0'}`;
-        const now = Date.now();
-        const range = minValueMin * 60 * 1000;
+        if (this.realPowerWindow.size() === 0) {
+            throw new Error('No realPower samples in window yet');
+        }
+
+        let lowestValue;
+        const mode = Number(reg.minValueAg) || 0;
+        if (mode === 1) {
+            lowestValue = this.realPowerWindow.average();
+        } else if (mode === 2) {
+            lowestValue = this.realPowerWindow.percentile(reg.minValuePercentile ?? 10);
+        } else {
+            lowestValue = this.realPowerWindow.min();
+        }
+        return Math.floor(Number(lowestValue));
+    }
+
+    /**
+     * Whether an external history adapter is configured (optional, warm-up only).
+     */
+    _hasHistoryAdapter() {
+        const reg = this.cfg.regulation;
+        return !!(reg && reg.historyAdapter && reg.historyAdapter !== 'none');
+    }
+
+    /**
+     * Query raw values of a state from the configured history adapter.
+     * @returns {Promise<{val: number, ts: number}[]>}
+     */
+    _fetchHistory(stateId, start, end, reg) {
+        const historyTarget = `${reg.historyAdapter}.${reg.historyInstance || '0'}`;
+        const requestTs = Date.now();
 
         return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error(`History query timeout on ${historyTarget}`)), 10000);
             this.adapter.sendTo(historyTarget, 'getHistory', {
                 id: stateId,
                 options: {
-                    start: now - range,
-                    end: now,
+                    start,
+                    end,
                     aggregate: 'none',
                     ignoreNull: true
                 }
             }, result => {
-                const duration = Date.now() - now;
+                clearTimeout(timeout);
+                const duration = Date.now() - requestTs;
                 if (duration > 1000) {
-                    this.adapter.log.debug(`getLowestValue took ${(duration / 1000).toFixed(1)}s`);
+                    this.adapter.log.debug(`History query took ${(duration / 1000).toFixed(1)}s`);
                 }
                 if (result && result.error) {
                     reject(new Error(result.error));
                     return;
                 }
-                if (!result || !result.result || result.result.length === 0) {
-                    reject(new Error('No history data'));
-                    return;
-                }
-                const values = result.result;
-                let lowestValue, totalValue = 0;
-
-                if ((reg.minValueAg || 0) === 0) {
-                    // Minimum
-                    lowestValue = values[0].val;
-                    for (let i = 1; i < values.length; i++) {
-                        if (values[i].val < lowestValue) lowestValue = values[i].val;
-                    }
-                } else {
-                    // Average
-                    for (const v of values) totalValue += v.val;
-                    lowestValue = totalValue / values.length;
-                }
-
-                resolve(Math.floor(Number(lowestValue)));
+                resolve((result && result.result) || []);
             });
         });
     }
 
+    /**
+     * Fill the realPower window from the history adapter after a restart.
+     * Called once at startup; failures only delay regulation until the window has samples.
+     */
+    async warmUpFromHistory() {
+        const reg = this.cfg.regulation;
+        if (!reg || !this._hasHistoryAdapter()) return;
+
+        const stateId = `${this.adapter.namespace}.regulation.realPower`;
+        const now = Date.now();
+        try {
+            const values = await this._fetchHistory(stateId, now - this.realPowerWindow.periodMs, now, reg);
+            let added = 0;
+            for (const v of values) {
+                const val = Number(v.val);
+                if (v.val === null || v.val === undefined || !Number.isFinite(val)) continue;
+                this.realPowerWindow.add(val, Number(v.ts) || now);
+                added++;
+            }
+            this.adapter.log.info(`RealPower window warm-up: ${added} samples from ${reg.historyAdapter}.${reg.historyInstance || '0'}.`);
+        } catch (e) {
+            this.adapter.log.warn(`RealPower window warm-up failed: ${e.message}`);
+        }
+    }
+
     /**
      * Ensure the realPower state is recorded by the history/influxdb adapter.
      * Called once at startup.
@@ -597,7 +1158,7 @@ class Regulation {
     async ensureHistoryLogging() {
         if (this.historySetupDone) return;
         const reg = this.cfg.regulation;
-        if (!reg) return;
+        if (!reg || !this._hasHistoryAdapter()) return;
 
         const historyTarget = `${reg.historyAdapter || 'history'}.${reg.historyInstance || '0'}`;
         const stateId = `${this.adapter.namespace}.regulation.realPower`;
@@ -655,6 +1216,90 @@ class Regulation {
 
     // ──────────────────────────────────────────────────────────── realPower
 
+    /**
+     * Read the meter state(s) of the configured meter mode as one reading in meter units.
+     * @returns {Promise<{val: number, ts: number, lc: number}|null>}  null if a required state is missing
+     */
+    async _readMeterState() {
+        const states = [];
+        for (const id of MeterInput.stateIds(this.cfg.regulation || {})) {
+            try {
+                states.push(await this.adapter.getForeignStateAsync(id));
+            } catch (e) {
+                states.push(null);
+            }
+        }
+        return this.meterInput.combine(states);
+    }
+
+    /**
+     * Read the grid power from the primary meter or, while it is stale or unusable, from the
+     * first usable fallback meter. If none is usable, the primary reading is returned with
+     * source 'fixed' and the caller uses smartmeterFallbackPower.
+     * @returns {Promise<{power: number|null, ageMs: number, rejected: string, timeoutMs: number, source: string}|null>}
+     *          null if neither the primary nor a fallback meter has a value
+     */
+    async _readGridPower() {
+        const primary = await this._readPrimaryMeter();
+        const timeoutMs = ((this.cfg.regulation && this.cfg.regulation.smartmeterTimeoutMin) || 4) * 60 * 1000;
+        if (primary && primary.power !== null && primary.ageMs <= timeoutMs) {
+            return { ...primary, timeoutMs, source: 'primary' };
+        }
+
+        for (const fallback of this.fallbackMeters) {
+            let state = null;
+            try {
+                state = await this.adapter.getForeignStateAsync(fallback.id);
+            } catch (e) {
+                state = null;
+            }
+            if (!state) continue;
+            const result = fallback.input.read(state);
+            const ageMs = Date.now() - state.ts;
+            if (result.power !== null && ageMs <= fallback.timeoutMs) {
+                return { power: result.power, ageMs, rejected: result.rejected, timeoutMs: fallback.timeoutMs, source: fallback.id };
+            }
+        }
+        return primary && { ...primary, timeoutMs, source: 'fixed' };
+    }
+
+    /**
+     * Publish regulation.activeMeterSource and log / notify when the meter in use changes.
+     * @param {string} source  'primary', state ID of a fallback meter or 'fixed'
+     */
+    async _publishMeterSource(source) {
+        if (source === this.meterSource) return;
+        const previous = this.meterSource;
+        this.meterSource = source;
+        await this.adapter.setStateAsync('regulation.activeMeterSource', source, true);
+        if (source === 'primary') {
+            if (previous) this.adapter.log.info('Smartmeter: primary meter available again.');
+        } else if (source !== 'fixed') {
+            this.adapter.log.warn(`Smartmeter: primary meter unavailable, using fallback meter ${source}.`);
+            await this._notify('smartmeterStale', source, `Primary smartmeter unavailable, using fallback meter ${source}.`);
+        }
+    }
+
+    /**
+     * Read the primary smart meter through the input stage (meter mode, sign, unit, plausibility filter).
+     * Rejected samples are counted in regulation.meterRejected.
+     * @returns {Promise<{power: number|null, ageMs: number, rejected: string}|null>}
+     *          null if the state does not exist; power null if the value is unusable
+     */
+    async _readPrimaryMeter() {
+        const state = await this._readMeterState();
+        if (!state) return null;
+
+        const result = this.meterInput.read(state);
+        if (this.meterInput.rejected !== this.meterRejectedPublished) {
+            this.meterRejectedPublished = this.meterInput.rejected;
+            this.adapter.log.debug(`Smartmeter: sample ${state.val} rejected (${this.meterInput.lastReason}), ${this.meterInput.rejected} since start.`);
+            await this.adapter.setStateAsync('regulation.meterRejected', this.meterInput.rejected, true);
+            await this.adapter.setStateAsync('regulation.meterRejectReason', this.meterInput.lastReason, true);
+        }
+        return { power: result.power, ageMs: Date.now() - state.ts, rejected: result.rejected };
+    }
+
     /**
      * Calculate and update the realPower state.
      * Called on every smartmeter change (with debounce).
@@ -664,7 +1309,9 @@ class Regulation {
         if (this.realPowerWorkInProgress) return;
         this.realPowerWorkInProgress = true;
 
-        await new Promise(r => setTimeout(r, 5000)); // 5s debounce
+        if (this.realPowerDebounceMs > 0) {
+            await new Promise(r => setTimeout(r, this.realPowerDebounceMs)); // 5s debounce
+        }
 
         try {
             let einspeisung = 0;
@@ -675,43 +1322,47 @@ class Regulation {
 
             let currentGridPower = Number(gridPower);
             if (!Number.isFinite(currentGridPower)) {
-                const smartmeterStateId = String(reg?.smartmeterStateId || '').trim();
+                const smartmeterStateId = MeterInput.stateIds(reg || {}).join(', ');
                 if (!smartmeterStateId) {
-                    this.adapter.log.warn('updateRealPower aborted: smartmeterStateId is empty.');
+                    this.adapter.log.warn('updateRealPower aborted: no smartmeter state configured.');
                     return;
                 }
-                const smartmeterState = await this.adapter.getForeignStateAsync(smartmeterStateId);
-                if (!smartmeterState) {
-                    this.adapter.log.warn(`updateRealPower aborted: smartmeter state not found (${smartmeterStateId}).`);
+                const meter = await this._readGridPower();
+                if (!meter) {
+                    if (!this.meterInput.pending) this.adapter.log.warn(`updateRealPower aborted: smartmeter state not found (${smartmeterStateId}).`);
                     return;
                 }
-                currentGridPower = Number(smartmeterState.val) || 0;
+                if (meter.power === null) {
+                    this.adapter.log.debug(`updateRealPower skipped: smartmeter value rejected (${meter.rejected}).`);
+                    return;
+                }
+                currentGridPower = meter.power;
                 if (debugEnabled) {
-                    this.adapter.log.info(`updateRealPower source: state ${smartmeterStateId} val=${smartmeterState.val} ts=${smartmeterState.ts}`);
+                    const source = meter.source === 'primary' || meter.source === 'fixed' ? smartmeterStateId : meter.source;
+                    this.adapter.log.info(`updateRealPower source: state ${source} power=${currentGridPower}${meter.rejected ? ` (${meter.rejected})` : ''} age=${Math.round(meter.ageMs / 1000)}s`);
                 }
             } else if (debugEnabled) {
                 this.adapter.log.info(`updateRealPower source: payload gridPower=${currentGridPower}`);
             }
 
+            const energyPowers = {};
             for (const inv of (this.cfg.inverters || [])) {
                 if (!inv.regulation) continue;
                 const invOutputWatts = await this._readInvOutputWatts(inv);
                 einspeisung += Math.round(invOutputWatts);
+                energyPowers[`inv.${inv.id}`] = invOutputWatts;
             }
+            energyPowers.feedIn = einspeisung;
 
             // AdditionalPowerSum
             const additionalPowerSumState = await this.adapter.getStateAsync('regulation.additionalPowerSum');
             if (additionalPowerSumState) {
                 einspeisung += Number(additionalPowerSumState.val) || 0;
+                energyPowers.additional = Number(additionalPowerSumState.val) || 0;
             }
 
-            // ExcessActualPower
-            let excessActual = 0;
-            const ec = this.cfg.excessCharge;
-            if (ec && ec.actualPowerStateId) {
-                const s = await this.sm.getValAkt(ec.actualPowerStateId, 60);
-                excessActual = Number(s.val) || 0;
-            }
+            // Actual power of the excess consumers
+            const excessActual = await this.consumers.readActualPower();
 
             const realPower = Math.round(currentGridPower + einspeisung - excessActual);
             if (debugEnabled) {
@@ -723,17 +1374,80 @@ class Regulation {
                 this.adapter.log.debug(`RealPower: PeakSkip – ${this.lastRealPower} → ${realPower} (delta > 100W)`);
             } else {
                 await this.adapter.setStateAsync('regulation.realPower', realPower, true);
+                this.realPowerWindow.add(realPower);
                 if (debugEnabled) {
                     this.adapter.log.info(`updateRealPower write: regulation.realPower=${realPower}`);
                 }
             }
             this.lastRealPower = realPower;
             this.hasLastRealPower = true;
+
+            energyPowers.gridImport = Math.max(0, currentGridPower);
+            energyPowers.gridExport = Math.max(0, -currentGridPower);
+            energyPowers.consumers = excessActual;
+            await this._accountEnergy(energyPowers);
         } finally {
             this.realPowerWorkInProgress = false;
         }
     }
 
+    // ──────────────────────────────────────────────────────────── energy
+
+    /**
+     * Add a power sample to the energy totals and publish energy.<period>.* and
+     * inverters.<id>.energy<Period> (at most once a minute).
+     * @param {Object<string, number>} powers  W per key (gridImport, gridExport, feedIn, additional, consumers, inv.<id>)
+     */
+    async _accountEnergy(powers) {
+        if (!this.energyRestored) {
+            this.energyRestored = true;
+            await this._restoreEnergy();
+        }
+        this.energy.add(powers);
+        if (Date.now() - this.energyPublishTs < 60 * 1000) return;
+        this.energyPublishTs = Date.now();
+
+        const round = v => Math.round(v * 1000) / 1000;
+        for (const period of PERIODS) {
+            const get = key => this.energy.get(period, key);
+            const production = get('feedIn') + get('additional');
+            const consumption = Math.max(0, get('gridImport') + production - get('gridExport'));
+            const values = {
+                consumption,
+                selfConsumption: production > 0 ? Math.min(100, Math.max(0, (production - get('gridExport')) / production * 100)) : 0,
+                autarky: consumption > 0 ? Math.min(100, Math.max(0, (consumption - get('gridImport')) / consumption * 100)) : 0
+            };
+            for (const def of ENERGY_STATES) {
+                const value = def.counted ? get(def.id) : values[def.id];
+                await this.adapter.setStateAsync(`energy.${period}.${def.id}`, def.unit === '%' ? Math.round(value * 10) / 10 : round(value), true);
+            }
+            for (const inv of (this.cfg.inverters || [])) {
+                if (!inv.regulation) continue;
+                await this.adapter.setStateAsync(`inverters.${inv.id}.${energyStateName(period)}`, round(get(`inv.${inv.id}`)), true);
+            }
+        }
+    }
+
+    /**
+     * Continue the totals of the current periods after a restart.
+     */
+    async _restoreEnergy() {
+        for (const period of PERIODS) {
+            const ids = ENERGY_STATES.filter(def => def.counted).map(def => [def.id, `energy.${period}.${def.id}`]);
+            for (const inv of (this.cfg.inverters || [])) {
+                if (inv.regulation) ids.push([`inv.${inv.id}`, `inverters.${inv.id}.${energyStateName(period)}`]);
+            }
+            for (const [key, id] of ids) {
+                try {
+                    const s = await this.adapter.getStateAsync(id);
+                    if (s) this.energy.restore(period, key, s.val, s.ts);
+                } catch (_) {
+                    // start from 0
+                }
+            }
+        }
+    }
+
     // ──────────────────────────────────────────────────────────── AdditionalPower
 
     async _computeAdditionalPower(reg) {
@@ -771,6 +1485,7 @@ class Regulation {
     async _readInvOutputWatts(inv) {
         if (!inv.outputStateId) return 0;
         const s = await this.sm.getValAkt(inv.outputStateId, 50);
+        if (this.invState[inv.id]) this.invState[inv.id].outputTs = s.ts;
         const raw = Number(s.val) || 0;
         // EcoFlow reports in ×10 unit; generic in Watts directly
         return inv.type === 'ecoflow' ? Math.floor(raw / 10) : raw;
@@ -818,20 +1533,35 @@ class Regulation {
         return { active: s.val == '1' || s.val === 1 || s.val === true, ts: s.ts };
     }
 
-    async _setPrio(inv, value) {
+    async _setPrio(inv, value, reason = '') {
         if (!inv.setPriorityStateId) return;
+        this._recordDecision(inv.id, 'priority', value, reason);
+        if (this.dryRun) return;
         await this.adapter.setForeignStateAsync(inv.setPriorityStateId, value, false);
     }
 
     // ──────────────────────────────────────────────────────────── output helpers
 
-    async _setOutput(inv, wattsValue) {
+    async _setOutput(inv, wattsValue, reason = '') {
         // Convert to raw wire value for EcoFlow (×10) vs generic (direct)
         const rawValue = inv.type === 'ecoflow' ? Math.floor(wattsValue * 10) : Math.round(wattsValue);
-        await this._setOutputRaw(inv, rawValue);
+        await this._setOutputRaw(inv, rawValue, reason);
     }
 
-    async _setOutputRaw(inv, rawValue) {
+    /**
+     * Write a setpoint in device units (EcoFlow: W × 10, generic: W).
+     * Decisions, proposedOutput and targetOutput are always in W.
+     */
+    async _setOutputRaw(inv, rawValue, reason = '') {
+        const wattsDisplay = inv.type === 'ecoflow' ? Math.floor(rawValue / 10) : rawValue;
+        this._recordDecision(inv.id, 'output', wattsDisplay, reason);
+
+        if (this.dryRun) {
+            // Publish the would-be setpoint only
+            await this.adapter.setStateAsync(`inverters.${inv.id}.proposedOutput`, wattsDisplay, true);
+            return;
+        }
+
         if (inv.type === 'ecoflow' && this.ecoflowMqtt) {
             // Send via EcoFlow MQTT
             await this.ecoflowMqtt.setACForDevice(inv.id, rawValue);
@@ -839,10 +1569,148 @@ class Regulation {
             await this.adapter.setForeignStateAsync(inv.setOutputStateId, rawValue, false);
         }
         // Mirror to adapter state tree
-        const wattsDisplay = inv.type === 'ecoflow' ? Math.floor(rawValue / 10) : rawValue;
         await this.adapter.setStateAsync(`inverters.${inv.id}.targetOutput`, wattsDisplay, true);
     }
 
+    /**
+     * setStateCon() for foreign control states, honouring the dry-run mode.
+     * @returns {Promise<boolean>} true if the state was (or in dry-run would have been) written
+     */
+    async _setForeignStateCon(id, val, reWriteMs, chMinAge, reason = '') {
+        if (this.dryRun) {
+            const wouldWrite = await this.sm.checkStateCon(id, val, true, reWriteMs, chMinAge);
+            if (wouldWrite) this._recordDecision(id, 'state', val, reason);
+            return wouldWrite;
+        }
+        const written = await this.sm.setStateCon(id, val, false, true, reWriteMs, chMinAge);
+        if (written) this._recordDecision(id, 'state', val, reason);
+        return written;
+    }
+
+    /**
+     * Unconditional foreign state write, honouring the dry-run mode.
+     */
+    async _setForeignState(id, val, reason = '') {
+        this._recordDecision(id, 'state', val, reason);
+        if (this.dryRun) return;
+        await this.adapter.setForeignStateAsync(id, val, false);
+    }
+
+    _recordDecision(target, action, value, reason) {
+        this.decisions.push({ target, action, value, reason });
+    }
+
+    /**
+     * Forward an event to the adapter's Notifier (see lib/notifier.js).
+     */
+    async _notify(event, key, text) {
+        if (!this.adapter.notifier) return;
+        await this.adapter.notifier.notify(event, key, this.dryRun ? `${text} (dry-run)` : text);
+    }
+
+    // ──────────────────────────────────────────────────────────── quality
+
+    /**
+     * Add the cycle to the quality monitor and publish quality.* including the alarms.
+     */
+    async _monitorQuality() {
+        if (!this.meterSample) return;
+        const first = !this.qualityRestored;
+        if (first) {
+            this.qualityRestored = true;
+            try {
+                const time = await this.adapter.getStateAsync('quality.exportTimeToday');
+                const energy = await this.adapter.getStateAsync('quality.exportEnergyToday');
+                if (time && energy) this.quality.restore(time.val, energy.val, Math.min(time.ts, energy.ts));
+            } catch (_) {
+                // start from 0
+            }
+        }
+
+        let changes = 0;
+        for (const d of this.decisions) {
+            if (d.action !== 'output') continue;
+            if (d.target in this.qualitySetpoints && this.qualitySetpoints[d.target] !== d.value) changes++;
+            this.qualitySetpoints[d.target] = d.value;
+        }
+        const { changed } = this.quality.add({ ...this.meterSample, changes });
+        const q = this.quality;
+        await this.adapter.setStateAsync('quality.exportTimeToday', Math.round(q.exportTimeToday * 10) / 10, true);
+        await this.adapter.setStateAsync('quality.exportEnergyToday', Math.round(q.exportEnergyToday * 1000) / 1000, true);
+        await this.adapter.setStateAsync('quality.avgDeviation', Math.round(q.avgDeviation), true);
+        await this.adapter.setStateAsync('quality.setpointChangesPerHour', q.setpointChangesPerHour, true);
+
+        const reg = this.cfg.regulation || {};
+        const texts = {
+            export: `export above ${reg.alarmExportWatts}W for ${Number(reg.alarmExportMin) || 10} min`,
+            stale: `smartmeter data older than ${reg.alarmStaleMin} min`,
+            changes: `more than ${reg.alarmChangesPerHour} setpoint changes per hour`
+        };
+        for (const name of changed) {
+            if (q.alarms[name]) {
+                this.adapter.log.warn(`Quality alarm: ${texts[name]}.`);
+                await this._notify('qualityAlarm', name, `Regulation alarm: ${texts[name]}.`);
+            } else {
+                this.adapter.log.info(`Quality alarm cleared: ${texts[name]}.`);
+            }
+        }
+        for (const name of (first ? ALARMS : changed)) {
+            await this.adapter.setStateAsync(`quality.alarm${name.charAt(0).toUpperCase()}${name.slice(1)}`, q.alarms[name], true);
+        }
+        if (first || changed.length) {
+            await this.adapter.setStateAsync('quality.alarm', ALARMS.some(name => q.alarms[name]), true);
+        }
+    }
+
+    // ──────────────────────────────────────────────────────────── trace
+
+    _traceBranch(inv, branch) {
+        const entry = this.trace && this.trace.inverters[inv.id];
+        if (entry) entry.branches.push(branch);
+    }
+
+    /**
+     * Complete the trace with the final setpoints, publish regulation.trace and
+     * optionally keep the last cycles in trace.json of the adapter's file store.
+     */
+    async _publishTrace() {
+        const trace = this.trace;
+        if (!trace || !Object.keys(trace.inputs).length && !Object.keys(trace.inverters).length) return;
+
+        for (const [id, entry] of Object.entries(trace.inverters)) {
+            const state = this.invState[id];
+            const decision = this.decisions.filter(d => d.target === id && d.action === 'output').pop();
+            entry.setpoint = state ? state.OldNewValue : null;
+            entry.reason = decision ? decision.reason : 'unchanged';
+            if (state && state.capPower !== null) {
+                entry.cap = { watts: state.capPower, reason: state.capReason, all: state.caps };
+            }
+            if (state && state.fault) entry.fault = state.fault;
+        }
+        await this.adapter.setStateAsync('regulation.trace', JSON.stringify(trace), true);
+
+        const reg = this.cfg.regulation || {};
+        if (!reg.traceFile) return;
+        this.traceBuffer.push(trace);
+        const maxCycles = Number(reg.traceFileCycles) || 360;
+        if (this.traceBuffer.length > maxCycles) this.traceBuffer.splice(0, this.traceBuffer.length - maxCycles);
+        // Write every 10 cycles to spare the file store
+        if (++this.traceCycles % 10 !== 0) return;
+        try {
+            if (!this.traceFileReady) {
+                await this.adapter.setForeignObjectNotExistsAsync(this.adapter.namespace, {
+                    type: 'meta',
+                    common: { name: 'Regulation trace', type: 'meta.user' },
+                    native: {}
+                });
+                this.traceFileReady = true;
+            }
+            await this.adapter.writeFileAsync(this.adapter.namespace, 'trace.json', JSON.stringify(this.traceBuffer));
+        } catch (e) {
+            this.adapter.log.warn(`Regulation: trace file could not be written: ${e.message}`);
+        }
+    }
+
     // ──────────────────────────────────────────────────────────── public helpers
 
     /**
@@ -853,12 +1721,12 @@ class Regulation {
             if (!inv.regulation) continue;
             const offPower = Number(inv.regulationOffPower);
             if (offPower >= 0) {
-                await this._setOutput(inv, offPower);
+                await this._setOutput(inv, offPower, 'regulation off');
                 const state = this.invState[inv.id];
                 if (state) state.OldNewValue = 0;
                 this.adapter.log.info(`Inverter ${inv.id}: Regulation off → setting to ${offPower}W.`);
             } else if (offPower === -2 && inv.setPriorityStateId) {
-                await this._setPrio(inv, '1');
+                await this._setPrio(inv, '1', 'regulation off');
                 this.adapter.log.info(`Inverter ${inv.id}: Regulation off → battery priority mode ON.`);
             }
         }
@@ -868,11 +1736,12 @@ class Regulation {
      * Handle regulation being turned on.
      */
     async handleEnabled() {
+        this.pid.reset();
         for (const inv of (this.cfg.inverters || [])) {
             if (!inv.regulation) continue;
             const offPower = Number(inv.regulationOffPower);
             if (offPower === -2 && inv.setPriorityStateId) {
-                await this._setPrio(inv, '0');
+                await this._setPrio(inv, '0', 'regulation on');
                 this.adapter.log.info(`Inverter ${inv.id}: Regulation on → battery priority mode OFF.`);
             }
         }
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Schedule – time-of-day profiles that override regulation parameters.
+ *
+ * Each row of regulation.schedules:
+ *   { enabled, name, days, from, to, inverterId,
+ *     basePowerOffset, maxPower, lowBatLimit, battPozOn, battPozOff }
+ *
+ * days:  "" = every day, otherwise a list/range of weekdays, e.g. "Mo-Fr", "Sa,So", "1-5" (1 = Monday).
+ * from/to: "HH:MM"; a window with to < from wraps midnight, from = to covers the whole day.
+ * Empty override fields keep the configured value. Rows further down win on overlaps.
+ */
+
+const REGULATION_FIELDS = ['basePowerOffset'];
+const INVERTER_FIELDS = ['maxPower', 'lowBatLimit', 'battPozOn', 'battPozOff'];
+
+const DAY_NAMES = {
+    mo: 1, di: 2, mi: 3, do: 4, fr: 5, sa: 6, so: 7,
+    tu: 2, we: 3, th: 4, su: 7
+};
+
+class Schedule {
+    /**
+     * @param {object[]} rows  regulation.schedules from the adapter config
+     */
+    constructor(rows) {
+        this.rows = Array.isArray(rows) ? rows.filter(row => row && row.enabled !== false) : [];
+    }
+
+    /**
+     * Rows active at the given time, in configuration order.
+     * @param {Date} [date]
+     * @returns {object[]}
+     */
+    getActive(date = new Date()) {
+        const weekday = date.getDay() === 0 ? 7 : date.getDay();
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const yesterday = weekday === 1 ? 7 : weekday - 1;
+
+        return this.rows.filter(row => {
+            const from = parseTime(row.from, 0);
+            const to = parseTime(row.to, 0);
+            const days = parseDays(row.days);
+            if (from === to) return days.has(weekday);
+            if (from < to) return days.has(weekday) && minutes >= from && minutes < to;
+            // Window wraps midnight: the part after midnight belongs to the previous day
+            if (minutes >= from) return days.has(weekday);
+            if (minutes < to) return days.has(yesterday);
+            return false;
+        });
+    }
+
+    /**
+     * Regulation config with the overrides of the active rows applied.
+     * @param {object} reg
+     * @param {object[]} active
+     * @returns {object}
+     */
+    applyRegulation(reg, active) {
+        return applyOverrides(reg, active.filter(row => !row.inverterId), REGULATION_FIELDS);
+    }
+
+    /**
+     * Inverter config with the overrides of the active rows applied.
+     * Rows without inverterId apply to all inverters.
+     * @param {object} inv
+     * @param {object[]} active
+     * @returns {object}
+     */
+    applyInverter(inv, active) {
+        return applyOverrides(inv, active.filter(row => !row.inverterId || row.inverterId === inv.id), INVERTER_FIELDS);
+    }
+}
+
+function applyOverrides(base, rows, fields) {
+    if (!rows.length) return base;
+    const result = { ...base };
+    for (const row of rows) {
+        for (const field of fields) {
+            if (row[field] === undefined || row[field] === null || row[field] === '') continue;
+            const value = Number(row[field]);
+            if (Number.isFinite(value)) result[field] = value;
+        }
+    }
+    return result;
+}
+
+function parseTime(text, fallback) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match) return fallback;
+    return Math.min(Number(match[1]), 24) * 60 + Math.min(Number(match[2]), 59);
+}
+
+function parseDays(text) {
+    const days = new Set();
+    const value = String(text || '').trim().toLowerCase();
+    if (!value) return new Set([1, 2, 3, 4, 5, 6, 7]);
+
+    const toDay = token => {
+        const t = token.trim();
+        if (/^[1-7]$/.test(t)) return Number(t);
+        return DAY_NAMES[t.slice(0, 2)] || 0;
+    };
+
+    for (const part of value.split(/[,;\s]+/).filter(Boolean)) {
+        const [startText, endText] = part.split('-');
+        const start = toDay(startText);
+        const end = endText !== undefined ? toDay(endText) : start;
+        if (!start || !end) continue;
+        // Ranges may wrap the week, e.g. "Fr-Mo"
+        for (let d = start, i = 0; i < 7; i++) {
+            days.add(d);
+            if (d === end) break;
+            d = d === 7 ? 1 : d + 1;
+        }
+    }
+    return days;
+}
+
+module.exports = { Schedule, parseTime };
@@ -0,0 +1,181 @@
+'use strict';
+
+const { parseTime } = require('./schedule');
+const { pick, toTs } = require('./price-control');
+
+/**
+ * SocPlanner – nightly target SOC curve from a PV forecast.
+ *
+ * Config (socPlanner):
+ *   { enabled, forecastStateId, forecastUnit, reserveSoc, baseLoadW, nightStart, morningTime }
+ *
+ * At nightStart the SOC of every battery inverter is taken as the start of the curve.
+ * The curve falls linearly to the morning target at morningTime:
+ *   morning target = 100 % − expected PV surplus of the coming day / battery capacity,
+ *   but never below reserveSoc.
+ * The expected surplus is the forecast PV energy minus baseLoadW for each slot
+ * between morningTime and the next nightStart.
+ *
+ * The forecast state holds a JSON array of slots as provided by the pvforecast or
+ * Solcast adapters, e.g. [{ "t": 1718085600000, "y": 0.42 }, ...] (kWh per slot).
+ * Several forecast states (e.g. today and tomorrow) can be given comma-separated.
+ * Solcast slots are keyed by their end (period_end, length in period, e.g. "PT30M").
+ */
+
+const TIME_KEYS = ['t', 'ts', 'time', 'startsAt', 'start', 'Uhrzeit', 'x'];
+const END_KEYS = ['period_end', 'end', 'endsAt'];
+const VALUE_KEYS = ['y', 'value', 'pv_estimate', 'energy', 'kWh', 'Wh', 'power', 'Leistung'];
+/** Wh per unit; W and kW are average power over the slot and are multiplied by its length */
+const UNIT_FACTORS = { kWh: 1000, Wh: 1, W: 1, kW: 1000 };
+const POWER_UNITS = ['W', 'kW'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+class SocPlanner {
+    /**
+     * @param {object} cfg  socPlanner section of the adapter config
+     */
+    constructor(cfg) {
+        this.cfg = cfg || {};
+        /** Plan of the current night: { nightStart, start, end, startSoc: {id: soc} } */
+        this.plan = null;
+    }
+
+    get enabled() {
+        return !!(this.cfg.enabled && this.cfg.forecastStateId);
+    }
+
+    /**
+     * Night window (start/end timestamps) containing `now`, or null during the day.
+     * @param {number} now
+     * @returns {{start: number, end: number}|null}
+     */
+    getNightWindow(now) {
+        const startMin = parseTime(this.cfg.nightStart, 18 * 60);
+        const endMin = parseTime(this.cfg.morningTime, 8 * 60);
+        const midnight = new Date(now);
+        midnight.setHours(0, 0, 0, 0);
+        const dayStart = midnight.getTime();
+
+        // Night started today (evening) or yesterday (early morning)
+        for (const base of [dayStart, dayStart - DAY_MS]) {
+            const start = base + startMin * 60 * 1000;
+            let end = base + endMin * 60 * 1000;
+            if (end <= start) end += DAY_MS;
+            if (now >= start && now < end) return { start, end };
+        }
+        return null;
+    }
+
+    /**
+     * Update the plan for the current cycle.
+     *
+     * @param {Array<{id: string, soc: number, capacityWh: number}>} batteries  Battery inverters
+     * @param {Array<{start: number, end: number, wh: number}>} slots           Parsed forecast
+     * @param {number} [now]
+     * @returns {{targets: Object<string, number>, morningSoc: number, surplusWh: number}|null}
+     *          Target SOC per inverter, or null outside the night window / without forecast
+     */
+    update(batteries, slots, now = Date.now()) {
+        const night = this.getNightWindow(now);
+        if (!night) {
+            this.plan = null;
+            return null;
+        }
+
+        const capacityWh = batteries.reduce((sum, b) => sum + (Number(b.capacityWh) || 0), 0);
+        if (capacityWh <= 0) return null;
+
+        if (!this.plan || this.plan.nightStart !== night.start) {
+            // Start of the night (or adapter restart during the night): freeze the start SOC
+            const startSoc = {};
+            for (const bat of batteries) startSoc[bat.id] = bat.soc;
+            this.plan = { nightStart: night.start, start: now, end: night.end, startSoc };
+        }
+
+        // Coming day: from morning until the next night start
+        const dayEnd = night.start + DAY_MS;
+        const baseLoadW = Number(this.cfg.baseLoadW) || 0;
+        let surplusWh = 0;
+        let covered = 0;
+        for (const slot of slots) {
+            if (slot.start < night.end || slot.start >= dayEnd) continue;
+            const hours = (slot.end - slot.start) / HOUR_MS;
+            surplusWh += Math.max(0, slot.wh - baseLoadW * hours);
+            covered++;
+        }
+        // No forecast for the coming day: do not hold the battery on a guess
+        if (covered === 0) return null;
+
+        const reserve = Number(this.cfg.reserveSoc) || 0;
+        const morningSoc = Math.round(Math.min(100, Math.max(reserve, 100 - (surplusWh / capacityWh) * 100)));
+        const progress = Math.min(1, Math.max(0, (now - this.plan.start) / (this.plan.end - this.plan.start)));
+
+        const targets = {};
+        for (const b of batteries) {
+            const startSoc = this.plan.startSoc[b.id] !== undefined ? this.plan.startSoc[b.id] : b.soc;
+            // Never plan above the start SOC – the curve only releases energy
+            const endSoc = Math.min(morningSoc, startSoc);
+            targets[b.id] = Math.round(startSoc + (endSoc - startSoc) * progress);
+        }
+        return { targets, morningSoc, surplusWh: Math.round(surplusWh) };
+    }
+}
+
+/**
+ * Parse a PV forecast state value into slots with energy in Wh.
+ * @param {*} raw          State value (JSON string, array or object)
+ * @param {string} [unit]  kWh or Wh (energy per slot), W or kW (average power, Solcast: kW)
+ * @returns {Array<{start: number, end: number, wh: number}>}
+ */
+function parsePvForecast(raw, unit = 'kWh') {
+    let data = raw;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (_) {
+            return [];
+        }
+    }
+    if (data && !Array.isArray(data)) {
+        data = data.forecasts || data.data || data.result || [];
+    }
+    if (!Array.isArray(data)) return [];
+
+    const slots = [];
+    for (const entry of data) {
+        if (!entry || typeof entry !== 'object') continue;
+        const start = toTs(pick(entry, TIME_KEYS));
+        const end = toTs(pick(entry, END_KEYS));
+        const value = Number(pick(entry, VALUE_KEYS));
+        if (!(start || end) || !Number.isFinite(value)) continue;
+        const length = start && end > start ? end - start : periodMs(entry.period);
+        // Slots without a start are ordered by their end; the spacing is the same
+        slots.push({ key: start || end, start, end, length, value });
+    }
+    slots.sort((a, b) => a.key - b.key);
+
+    return slots.map((slot, i) => {
+        const next = slots[i + 1];
+        const prev = slots[i - 1];
+        const length = slot.length || (next ? next.key - slot.key : (prev ? slot.key - prev.key : HOUR_MS));
+        const start = slot.start || slot.end - length;
+        const hours = length / HOUR_MS;
+        const factor = UNIT_FACTORS[unit] || UNIT_FACTORS.kWh;
+        const wh = POWER_UNITS.includes(unit) ? slot.value * hours * factor : slot.value * factor;
+        return { start, end: start + length, wh };
+    });
+}
+
+/**
+ * Slot length from an ISO 8601 duration such as "PT30M" or "PT1H".
+ * @param {*} value
+ * @returns {number}  ms, 0 if not given or not parseable
+ */
+function periodMs(value) {
+    const match = /^PT(?:(\d+)H)?(?:(\d+)M)?$/.exec(String(value || ''));
+    if (!match) return 0;
+    return (Number(match[1]) || 0) * HOUR_MS + (Number(match[2]) || 0) * 60000;
+}
+
+module.exports = { SocPlanner, parsePvForecast };
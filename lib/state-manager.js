@@ -13,19 +13,18 @@ class StateManager {
     }
 
     /**
-     * Set a foreign state only if the value changed or the state is old enough.
-     * Port of setStateCon() from the original script.
+     * Check whether setStateCon() would write the value, without writing it.
+     * Used by the regulation dry-run mode.
      *
      * @param {string} id            Full state ID (can be foreign)
      * @param {*}      val           Value to set
-     * @param {boolean} ack          Acknowledge flag
      * @param {boolean} changeOnly   Only write if value differs from current
      * @param {number}  reWriteMs    If >0: re-write even same value after this many ms
      * @param {number}  chMinAge     Min ms since last *change* before writing again (0 = no check)
-     * @param {boolean} isForeign    Use setForeignStateAsync instead of setStateAsync
-     * @returns {Promise<boolean>}   true if state was written
+     * @param {boolean} isForeign    Use getForeignStateAsync instead of getStateAsync
+     * @returns {Promise<boolean>}   true if state would be written
      */
-    async setStateCon(id, val, ack = false, changeOnly = true, reWriteMs = 0, chMinAge = 0, isForeign = true) {
+    async checkStateCon(id, val, changeOnly = true, reWriteMs = 0, chMinAge = 0, isForeign = true) {
         let state;
         try {
             state = isForeign
@@ -37,11 +36,6 @@ class StateManager {
 
         if (!state) {
             // State does not exist yet – write unconditionally
-            if (isForeign) {
-                await this.adapter.setForeignStateAsync(id, val, ack);
-            } else {
-                await this.adapter.setStateAsync(id, val, ack);
-            }
             return true;
         }
 
@@ -61,7 +55,27 @@ class StateManager {
             return false; // skip – changed too recently (EEPROM protection)
         }
 
-        // All conditions met – write
+        return true;
+    }
+
+    /**
+     * Set a foreign state only if the value changed or the state is old enough.
+     * Port of setStateCon() from the original script.
+     *
+     * @param {string} id            Full state ID (can be foreign)
+     * @param {*}      val           Value to set
+     * @param {boolean} ack          Acknowledge flag
+     * @param {boolean} changeOnly   Only write if value differs from current
+     * @param {number}  reWriteMs    If >0: re-write even same value after this many ms
+     * @param {number}  chMinAge     Min ms since last *change* before writing again (0 = no check)
+     * @param {boolean} isForeign    Use setForeignStateAsync instead of setStateAsync
+     * @returns {Promise<boolean>}   true if state was written
+     */
+    async setStateCon(id, val, ack = false, changeOnly = true, reWriteMs = 0, chMinAge = 0, isForeign = true) {
+        if (!await this.checkStateCon(id, val, changeOnly, reWriteMs, chMinAge, isForeign)) {
+            return false;
+        }
+
         if (isForeign) {
             await this.adapter.setForeignStateAsync(id, val, ack);
         } else {
@@ -171,4 +185,76 @@ class AverageCalculator {
     }
 }
 
-module.exports = { StateManager, AverageCalculator };
+/**
+ * RollingWindow – time-windowed sample buffer with min / average / percentile.
+ * Replaces the history adapter query for the lowestValue window.
+ */
+class RollingWindow {
+    /**
+     * @param {number} periodMs  Window length in milliseconds
+     */
+    constructor(periodMs) {
+        this.periodMs = periodMs;
+        /** @type {{value: number, ts: number}[]} sorted by ts */
+        this.samples = [];
+    }
+
+    /**
+     * Add a sample. Samples older than the window are dropped.
+     * Out-of-order samples (e.g. from a history warm-up) are inserted by timestamp.
+     * @param {number} value
+     * @param {number} [ts]
+     */
+    add(value, ts = Date.now()) {
+        if (!Number.isFinite(value)) return;
+        let i = this.samples.length;
+        while (i > 0 && this.samples[i - 1].ts > ts) i--;
+        this.samples.splice(i, 0, { value, ts });
+        this._removeOldValues();
+    }
+
+    /**
+     * Number of samples inside the window.
+     * @returns {number}
+     */
+    size() {
+        this._removeOldValues();
+        return this.samples.length;
+    }
+
+    /** @returns {number|null} */
+    min() {
+        this._removeOldValues();
+        if (!this.samples.length) return null;
+        return this.samples.reduce((m, s) => (s.value < m ? s.value : m), this.samples[0].value);
+    }
+
+    /** @returns {number|null} */
+    average() {
+        this._removeOldValues();
+        if (!this.samples.length) return null;
+        return this.samples.reduce((sum, s) => sum + s.value, 0) / this.samples.length;
+    }
+
+    /**
+     * Nearest-rank percentile of the samples inside the window.
+     * @param {number} p  Percentile 0..100
+     * @returns {number|null}
+     */
+    percentile(p) {
+        this._removeOldValues();
+        if (!this.samples.length) return null;
+        const sorted = this.samples.map(s => s.value).sort((a, b) => a - b);
+        const rank = Math.ceil((Math.min(Math.max(p, 0), 100) / 100) * sorted.length);
+        return sorted[Math.max(rank - 1, 0)];
+    }
+
+    _removeOldValues() {
+        const now = Date.now();
+        while (this.samples.length > 0 && now - this.samples[0].ts > this.periodMs) {
+            this.samples.shift();
+        }
+    }
+}
+
+module.exports = { StateManager, AverageCalculator, RollingWindow };
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * StorageSink – absorbs surplus with the AC charger of an EcoFlow Delta.
+ *
+ * Config (storageSink):
+ *   { enabled, serial, socStateId, actualPowerStateId,
+ *     minChargeWatts, maxChargeWatts, socMax, socResume, stepWatts, minPauseSec }
+ *
+ * The charge power follows regulation.excessPower in steps of stepWatts within the
+ * device's charge range. Commands are written to the device's writeable states
+ * (ack=false), which EcoflowMqtt.onWriteableStateChange() publishes via MQTT.
+ * Charging pauses at socMax and resumes at socResume.
+ *
+ * Delta 2 is not supported: it has no charge-pause command, so AC charging could
+ * never be stopped and the device would keep importing from the grid.
+ */
+
+/** Writeables and AC charge range per device type */
+const DEVICE_TYPES = {
+    DM:  { power: 'slowChgPower', pause: 'chgPause',     min: 200, max: 1800 },
+    D2M: { power: 'slowChgWatts', pause: 'chgPauseFlag', min: 200, max: 2400 }
+};
+
+class StorageSink {
+    /**
+     * @param {import('./regulation')} regulation  Owning Regulation (dry-run aware writes)
+     * @param {object} cfg                         storageSink section of the adapter config
+     */
+    constructor(regulation, cfg) {
+        this.regulation = regulation;
+        this.adapter = regulation.adapter;
+        this.cfg = cfg || {};
+        this.charging = false;
+        this.full = false;
+        this.warned = false;
+        /** Writeable state ids, created on the first run outside dry-run */
+        this.ids = null;
+    }
+
+    get enabled() {
+        return !!(this.cfg.enabled && this.cfg.serial);
+    }
+
+    /**
+     * Adjust the charge power to the surplus of this cycle.
+     * @param {number} ueberschuss  Surplus in W (regulation.excessPower)
+     * @returns {Promise<number>}   Requested charge power (0 = paused)
+     */
+    async run(ueberschuss) {
+        const mqtt = this.regulation.ecoflowMqtt;
+        const type = mqtt ? DEVICE_TYPES[mqtt.getDeviceType(this.cfg.serial)] : null;
+        if (!type) {
+            if (!this.warned) {
+                if (mqtt && mqtt.getDeviceType(this.cfg.serial) === 'D2') {
+                    this.adapter.log.warn(`StorageSink: Delta 2 ${this.cfg.serial} has no charge-pause command – AC charging cannot be stopped, storage sink disabled.`);
+                } else {
+                    this.adapter.log.warn(`StorageSink: Device ${this.cfg.serial} is not a configured Delta Max / Delta 2 Max or EcoFlow MQTT is disabled.`);
+                }
+                this.warned = true;
+            }
+            return 0;
+        }
+
+        const minWatts = Math.max(type.min, Number(this.cfg.minChargeWatts) || 0);
+        const maxWatts = Math.min(type.max, Number(this.cfg.maxChargeWatts) || type.max);
+        const step = Number(this.cfg.stepWatts) || 50;
+        const reWriteMs = 60 * 60 * 1000;
+        const pauseMs = (Number(this.cfg.minPauseSec) || 60) * 1000;
+
+        // SOC limits with hysteresis
+        if (this.cfg.socStateId) {
+            const soc = Number((await this.regulation.sm.getValAkt(this.cfg.socStateId, 60)).val) || 0;
+            const socMax = Number(this.cfg.socMax) || 100;
+            const socResume = Number(this.cfg.socResume) || socMax - 5;
+            if (!this.full && soc >= socMax) {
+                this.full = true;
+                this.adapter.log.info(`StorageSink: Delta at ${soc}% – charging paused.`);
+            } else if (this.full && soc <= socResume) {
+                this.full = false;
+                this.adapter.log.info(`StorageSink: Delta at ${soc}% – charging from surplus allowed again.`);
+            }
+        }
+
+        let target = Math.min(maxWatts, Math.floor(ueberschuss / step) * step);
+        if (this.full || target < minWatts) target = 0;
+
+        let ids = this.ids;
+        if (!ids && this.regulation.dryRun) {
+            // Dry-run creates no objects – the paths are enough to record the decisions
+            ids = {
+                power: mqtt.getWriteableStatePath(this.cfg.serial, type.power),
+                pause: mqtt.getWriteableStatePath(this.cfg.serial, type.pause)
+            };
+        } else if (!ids) {
+            ids = this.ids = {
+                power: await mqtt.ensureWriteableState(this.cfg.serial, type.power),
+                pause: await mqtt.ensureWriteableState(this.cfg.serial, type.pause)
+            };
+        }
+        const powerId = ids.power;
+        const pauseId = ids.pause;
+
+        if (target > 0) {
+            await this.regulation._setForeignStateCon(powerId, String(target), reWriteMs, pauseMs, `storage sink charge (excess ${Math.round(ueberschuss)}W)`);
+            if (!this.charging) {
+                await this.regulation._setForeignStateCon(pauseId, '0', reWriteMs, 0, 'storage sink resume');
+            }
+            if (!this.charging) this.adapter.log.info(`StorageSink: Charging Delta with ${target}W from surplus.`);
+            this.charging = true;
+        } else if (this.charging) {
+            await this.regulation._setForeignStateCon(pauseId, '1', reWriteMs, 0, this.full ? 'storage sink full' : 'storage sink pause (no surplus)');
+            this.adapter.log.info(`StorageSink: Charging stopped (${this.full ? 'SOC limit' : `excess ${Math.round(ueberschuss)}W`}).`);
+            this.charging = false;
+        }
+        return target;
+    }
+}
+
+module.exports = { StorageSink, DEVICE_TYPES };
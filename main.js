@@ -5,6 +5,10 @@ const vm = require('vm');
 const ioPackage = require('./io-package.json');
 const EcoflowMqtt = require('./lib/ecoflow-mqtt');
 const Regulation = require('./lib/regulation');
+const { Notifier } = require('./lib/notifier');
+const { MeterInput } = require('./lib/meter-input');
+const { ExcessConsumers } = require('./lib/excess-consumers');
+const { PERIODS, ENERGY_STATES, energyStateName } = require('./lib/energy-counter');
 
 class EcoflowPowerControl extends utils.Adapter {
     /**
@@ -19,6 +23,9 @@ class EcoflowPowerControl extends utils.Adapter {
         /** @type {Regulation|null} */
         this.regulation = null;
 
+        /** @type {Notifier|null} */
+        this.notifier = null;
+
         /** Regulation loop interval handle */
         this.regulationInterval = null;
 
@@ -74,6 +81,8 @@ class EcoflowPowerControl extends utils.Adapter {
         // ── 1. Create dynamic object tree for configured inverters
         this.log.info('onReady step: create inverter objects (begin)');
         await this._createInverterObjects(cfg.inverters || []);
+        await this._createConsumerObjects(ExcessConsumers.buildRows(cfg));
+        await this._createEnergyObjects();
         this.log.info('onReady step: create inverter objects (done)');
 
         // ── 2. Optionally create ecoflow channel
@@ -102,6 +111,13 @@ class EcoflowPowerControl extends utils.Adapter {
         if (enabledState === null || enabledState === undefined) {
             await this.setStateAsync('regulation.enabled', cfg.regulation ? !!cfg.regulation.enabled : true, true);
         }
+        const dryRunState = await this.getStateAsync('regulation.dryRun');
+        if (dryRunState === null || dryRunState === undefined) {
+            await this.setStateAsync('regulation.dryRun', !!cfg?.regulation?.dryRun, true);
+        }
+
+        // Notifications are used by EcoFlow MQTT and the regulation
+        this.notifier = new Notifier(this, cfg.notifications);
 
         // ── 4. Start EcoFlow MQTT (optional)
         const ecoflowEnabledFlag = !!cfg?.ecoflow?.enabled;
@@ -157,11 +173,17 @@ class EcoflowPowerControl extends utils.Adapter {
         const regEnabledState = await this.getStateAsync('regulation.enabled');
         this.regulation.regulationEnabled = regEnabledState ? !!regEnabledState.val : true;
         this.log.info(`onReady step: read regulation.enabled state (done, value=${this.regulation.regulationEnabled})`);
+        const regDryRunState = await this.getStateAsync('regulation.dryRun');
+        this.regulation.dryRun = regDryRunState ? !!regDryRunState.val : false;
+        if (this.regulation.dryRun) {
+            this.log.warn('Regulation dry-run is active: setpoints are only published to inverters.*.proposedOutput.');
+        }
 
         // ── 6. Subscribe to own states
         this.log.info('onReady step: subscribe own states (begin)');
         this._subscribeOwnStatesSafe([
             'regulation.enabled',
+            'regulation.dryRun',
             'commands.testConnection',
             'commands.importLegacyScript',
             'commands.resetAllSettings'
@@ -181,8 +203,11 @@ class EcoflowPowerControl extends utils.Adapter {
 
         await this._logSmartmeterDiagnostics(cfg, 'startup-after-subscribe');
 
-        if (cfg?.regulation?.smartmeterStateId) {
-            this.log.info(`Configured smartmeter state: ${cfg.regulation.smartmeterStateId}`);
+        const meterIds = this._meterStateIds(cfg);
+        if (meterIds.length) {
+            this.log.info(`Configured smartmeter state: ${meterIds.join(', ')} (mode ${cfg.regulation.meterMode || 'power'})`);
+            const fallbackIds = this._fallbackMeterStateIds(cfg);
+            if (fallbackIds.length) this.log.info(`Fallback smartmeter states: ${fallbackIds.join(', ')}`);
         } else {
             this.log.warn('No smartmeter state configured (regulation.smartmeterStateId is empty).');
         }
@@ -194,7 +219,7 @@ class EcoflowPowerControl extends utils.Adapter {
         this._startRealPowerWatcher(cfg);
         this.log.info('onReady step: start realPower watcher (done)');
 
-        // ── 8. Ensure history logging for regulation.realPower
+        // ── 8. Optional history adapter: ensure logging of regulation.realPower and warm up the window
         this.log.info('onReady step: ensure history logging (begin)');
         try {
             await this.regulation.ensureHistoryLogging();
@@ -202,6 +227,9 @@ class EcoflowPowerControl extends utils.Adapter {
             this.log.warn(`History setup failed: ${e.message}`);
         }
         this.log.info('onReady step: ensure history logging (done)');
+        this.log.info('onReady step: realPower window warm-up (begin)');
+        await this.regulation.warmUpFromHistory();
+        this.log.info('onReady step: realPower window warm-up (done)');
 
         // ── 9. Start regulation loop
         const intervalMs = ((cfg.regulation && cfg.regulation.intervalSec) || 15) * 1000;
@@ -280,6 +308,18 @@ class EcoflowPowerControl extends utils.Adapter {
             return;
         }
 
+        // ── Own state: regulation.dryRun
+        if (id === `${this.namespace}.regulation.dryRun`) {
+            if (state.ack) return; // only react to user writes
+            const dryRun = !!state.val;
+            this.log.info(`Regulation dry-run ${dryRun ? 'enabled' : 'disabled'} by user.`);
+            await this.setStateAsync('regulation.dryRun', dryRun, true);
+            if (this.regulation) {
+                this.regulation.dryRun = dryRun;
+            }
+            return;
+        }
+
         if (id === `${this.namespace}.commands.testConnection`) {
             this.log.debug(`Admin command state write: testConnection ack=${state.ack} val=${JSON.stringify(state.val)}`);
             const hasPayload = typeof state.val === 'string'
@@ -333,7 +373,9 @@ class EcoflowPowerControl extends utils.Adapter {
         // ── Foreign state: smartmeter value changed → update realPower
         const cfg = this.config;
         const configuredSmartmeterId = this._normalizeStateIdInput(cfg?.regulation?.smartmeterStateId);
-        if (configuredSmartmeterId && id === configuredSmartmeterId) {
+        // Fallback meters only count while the primary meter is not in use
+        const fallbackInUse = this.regulation?.meterSource !== 'primary' && this._fallbackMeterStateIds(cfg).includes(id);
+        if (this._meterStateIds(cfg).includes(id) || fallbackInUse) {
             this.log.debug(`Smartmeter stateChange matched: ${id} val=${JSON.stringify(state.val)} ts=${state.ts}`);
             if (this.regulation) {
                 // Non-blocking – updateRealPower has its own debounce
@@ -1118,11 +1160,11 @@ class EcoflowPowerControl extends utils.Adapter {
     }
 
     async _initializeRealPowerFromSmartmeter(cfg) {
-        const smartmeterStateId = this._normalizeStateIdInput(cfg?.regulation?.smartmeterStateId);
+        const smartmeterStateId = this._meterStateIds(cfg).join(', ');
         if (!smartmeterStateId || !this.regulation) return;
 
         try {
-            const smartmeterState = await this.getForeignStateAsync(smartmeterStateId);
+            const smartmeterState = await this.regulation._readMeterState();
             if (!smartmeterState) {
                 this.log.warn(`Smartmeter state not found at startup: ${smartmeterStateId}`);
                 return;
@@ -1159,12 +1201,12 @@ class EcoflowPowerControl extends utils.Adapter {
 
     _startRealPowerWatcher(cfg) {
         if (this.realPowerWatchInterval || !this.regulation) return;
-        const smartmeterStateId = this._normalizeStateIdInput(cfg?.regulation?.smartmeterStateId);
+        const smartmeterStateId = this._meterStateIds(cfg).join(', ');
         if (!smartmeterStateId) return;
 
         this.realPowerWatchInterval = setInterval(async () => {
             try {
-                const smartmeterState = await this.getForeignStateAsync(smartmeterStateId);
+                const smartmeterState = await this.regulation._readMeterState();
                 if (!smartmeterState) return;
 
                 const ts = Number(smartmeterState.ts) || 0;
@@ -1182,6 +1224,14 @@ class EcoflowPowerControl extends utils.Adapter {
     }
 
     async _logSmartmeterDiagnostics(cfg, phase = 'runtime') {
+        const meterIds = this._meterStateIds(cfg);
+        if (cfg?.regulation?.meterMode && cfg.regulation.meterMode !== 'power') {
+            this.log.info(`Smartmeter diagnostics (${phase}): mode=${cfg.regulation.meterMode} states='${meterIds.join(', ')}'`);
+            if (!meterIds.length) this.log.warn(`Smartmeter diagnostics (${phase}): no meter states configured.`);
+            for (const id of meterIds) await this._logSmartmeterStateDiagnostics(id, phase);
+            return;
+        }
+
         const rawId = cfg?.regulation?.smartmeterStateId;
         const smartmeterStateId = this._normalizeStateIdInput(rawId);
 
@@ -1190,7 +1240,23 @@ class EcoflowPowerControl extends utils.Adapter {
             this.log.warn(`Smartmeter diagnostics (${phase}): no smartmeterStateId configured.`);
             return;
         }
+        await this._logSmartmeterStateDiagnostics(smartmeterStateId, phase);
+    }
+
+    /**
+     * State IDs of the smart meter reading (see MeterInput.stateIds), normalized.
+     * @param {object} cfg
+     * @returns {string[]}
+     */
+    _meterStateIds(cfg) {
+        return MeterInput.stateIds(cfg?.regulation || {}).map(id => this._normalizeStateIdInput(id)).filter(Boolean);
+    }
+
+    _fallbackMeterStateIds(cfg) {
+        return MeterInput.fallbacks(cfg?.regulation || {}).map(m => this._normalizeStateIdInput(m.id)).filter(Boolean);
+    }
 
+    async _logSmartmeterStateDiagnostics(smartmeterStateId, phase) {
         try {
             const obj = await this.getForeignObjectAsync(smartmeterStateId);
             if (!obj) {
@@ -1477,7 +1543,7 @@ class EcoflowPowerControl extends utils.Adapter {
         defaults.regZusatzpowerOffset = 10;
         defaults.regMultiPsMode = 0;
         defaults.regSerialReverse = false;
-        defaults.regHistoryAdapter = 'history';
+        defaults.regHistoryAdapter = '';
         defaults.regHistoryInstance = '0';
         if (defaults.regulation && typeof defaults.regulation === 'object') {
             defaults.regulation.smartmeterStateId = '';
@@ -1502,7 +1568,12 @@ class EcoflowPowerControl extends utils.Adapter {
                 { id: 'currentOutput', name: 'Current output power', unit: 'W', type: 'number', role: 'value.power' },
                 { id: 'batterySOC',    name: 'Battery state of charge', unit: '%', type: 'number', role: 'value.battery' },
                 { id: 'pvPower',       name: 'PV input power', unit: 'W', type: 'number', role: 'value.power' },
-                { id: 'targetOutput',  name: 'Last target output', unit: 'W', type: 'number', role: 'value.power' }
+                { id: 'targetOutput',  name: 'Last target output', unit: 'W', type: 'number', role: 'value.power' },
+                { id: 'proposedOutput', name: 'Proposed output (dry-run)', unit: 'W', type: 'number', role: 'value.power' },
+                { id: 'targetSoc',     name: 'Planned SOC (PV forecast)', unit: '%', type: 'number', role: 'value.battery' },
+                { id: 'fault',         name: 'Setpoint-following fault (empty = OK)', type: 'string', role: 'text' },
+                { id: 'reserveActive', name: 'Battery reserve reached (no discharge)', type: 'boolean', role: 'indicator' },
+                ...PERIODS.map(period => ({ id: energyStateName(period), name: `Feed-in this ${period}`, unit: 'kWh', type: 'number', role: 'value.energy' }))
             ];
 
             for (const s of states) {
@@ -1515,6 +1586,31 @@ class EcoflowPowerControl extends utils.Adapter {
                         role: s.role,
                         read: true,
                         write: false,
+                        def: s.type === 'string' ? '' : (s.type === 'boolean' ? false : 0)
+                    },
+                    native: {}
+                });
+            }
+        }
+    }
+
+    async _createEnergyObjects() {
+        for (const period of PERIODS) {
+            await this.setObjectNotExistsAsync(`energy.${period}`, {
+                type: 'channel',
+                common: { name: `Energy this ${period}` },
+                native: {}
+            });
+            for (const def of ENERGY_STATES) {
+                await this.setObjectNotExistsAsync(`energy.${period}.${def.id}`, {
+                    type: 'state',
+                    common: {
+                        name: def.name,
+                        type: 'number',
+                        unit: def.unit,
+                        role: def.unit === '%' ? 'value' : 'value.energy',
+                        read: true,
+                        write: false,
                         def: 0
                     },
                     native: {}
@@ -1523,6 +1619,43 @@ class EcoflowPowerControl extends utils.Adapter {
         }
     }
 
+    async _createConsumerObjects(consumers) {
+        for (const consumer of consumers) {
+            await this.setObjectNotExistsAsync(`consumers.${consumer.id}`, {
+                type: 'channel',
+                common: { name: consumer.name || consumer.id },
+                native: {}
+            });
+
+            const states = [
+                { id: 'power',  name: 'Requested power from surplus', unit: 'W', type: 'number', role: 'value.power' },
+                { id: 'active', name: 'Switched on by the regulation', type: 'boolean', role: 'indicator' },
+                { id: 'runtimeToday', name: 'Runtime today', unit: 'min', type: 'number', role: 'value' },
+                { id: 'energyToday', name: 'Energy today', unit: 'kWh', type: 'number', role: 'value.energy' },
+                { id: 'gridFill', name: 'Running from grid to reach the minimum runtime', type: 'boolean', role: 'indicator' }
+            ];
+            if (consumer.type === 'sgready') {
+                states.push({ id: 'mode', name: 'SG-Ready mode (blocked/normal/recommended/forced)', type: 'string', role: 'text' });
+            }
+
+            for (const s of states) {
+                await this.setObjectNotExistsAsync(`consumers.${consumer.id}.${s.id}`, {
+                    type: 'state',
+                    common: {
+                        name: s.name,
+                        type: s.type,
+                        unit: s.unit,
+                        role: s.role,
+                        read: true,
+                        write: false,
+                        def: s.type === 'string' ? '' : (s.type === 'boolean' ? false : 0)
+                    },
+                    native: {}
+                });
+            }
+        }
+    }
+
     // ──────────────────────────────────────────────────────────── foreign subscriptions
 
     async _subscribeForeignStates(cfg) {
@@ -1557,9 +1690,12 @@ class EcoflowPowerControl extends utils.Adapter {
             }
         };
 
-        // Smartmeter
-        if (cfg.regulation && cfg.regulation.smartmeterStateId) {
-            await subscribe(cfg.regulation.smartmeterStateId);
+        // Smartmeter (single state, import/export or per-phase states)
+        for (const id of this._meterStateIds(cfg)) {
+            await subscribe(id);
+        }
+        for (const id of this._fallbackMeterStateIds(cfg)) {
+            await subscribe(id);
         }
 
         // Inverter output states
@@ -1575,9 +1711,8 @@ class EcoflowPowerControl extends utils.Adapter {
             if (ap.id) await subscribe(ap.id);
         }
 
-        // ExcessCharge
-        const ec = cfg.excessCharge;
-        if (ec) {
+        // Excess consumers (incl. legacy excessCharge / storageSink)
+        for (const ec of ExcessConsumers.buildRows(cfg)) {
             if (ec.powerStateId)       await subscribe(ec.powerStateId);
             if (ec.batSocStateId)      await subscribe(ec.batSocStateId);
             if (ec.actualPowerStateId) await subscribe(ec.actualPowerStateId);
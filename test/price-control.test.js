@@ -0,0 +1,31 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PriceControl } = require('../lib/price-control');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Hourly slots of one local day, price per hour (default 0.20) */
+function day(prices) {
+    const midnight = new Date(2026, 5, 1).getTime();
+    return Array.from({ length: 24 }, (_, h) => ({
+        start: midnight + h * HOUR_MS,
+        end: midnight + (h + 1) * HOUR_MS,
+        price: prices[h] !== undefined ? prices[h] : 0.20
+    }));
+}
+
+test('evaluate: topHours ignores slots that are already over', () => {
+    const pc = new PriceControl({ enabled: true, forecastStateId: 'x', topHours: 1 });
+    const slots = day({ 7: 0.50, 19: 0.40 });
+    const result = pc.evaluate(null, slots, new Date(2026, 5, 1, 19, 30).getTime());
+    assert.strictEqual(result.hold, false);
+});
+
+test('evaluate: topHours holds outside the most expensive remaining hours', () => {
+    const pc = new PriceControl({ enabled: true, forecastStateId: 'x', topHours: 1 });
+    const slots = day({ 7: 0.50, 19: 0.40 });
+    const result = pc.evaluate(null, slots, new Date(2026, 5, 1, 12, 30).getTime());
+    assert.strictEqual(result.hold, true);
+});
@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePvForecast } = require('../lib/soc-planner');
+
+test('parsePvForecast: Solcast slot (kW average power, keyed by period_end)', () => {
+    const slots = parsePvForecast(JSON.stringify([
+        { period_end: '2026-06-01T10:30:00.0000000Z', period: 'PT30M', pv_estimate: 2 }
+    ]), 'kW');
+    assert.strictEqual(slots.length, 1);
+    assert.strictEqual(slots[0].start, Date.parse('2026-06-01T10:00:00Z'));
+    assert.strictEqual(slots[0].end, Date.parse('2026-06-01T10:30:00Z'));
+    assert.strictEqual(slots[0].wh, 1000);
+});
+
+test('parsePvForecast: energy per slot (kWh) keyed by start', () => {
+    const slots = parsePvForecast([{ t: 1718085600000, y: 0.4 }, { t: 1718089200000, y: 0.5 }]);
+    assert.deepStrictEqual(slots.map(s => [s.start, s.end, s.wh]), [
+        [1718085600000, 1718089200000, 400],
+        [1718089200000, 1718092800000, 500]
+    ]);
+});